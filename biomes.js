@@ -0,0 +1,242 @@
+// biomes.js - Biome definitions and climate-based biome selection
+
+class BiomeRegistry {
+  constructor() {
+    this.biomes = [];       // Registration order, used for iteration
+    this.biomesById = new Map(); // Biome id -> biome definition
+  }
+
+  // Register a biome definition, filling in defaults for anything it leaves out
+  register(definition) {
+    if (this.biomesById.has(definition.id)) {
+      console.warn(`Biome "${definition.id}" is already registered, replacing it`);
+      this.biomes = this.biomes.filter(biome => biome.id !== definition.id);
+    }
+
+    const biome = Object.assign({
+      name: definition.id,
+      temperature: 0.0,         // Position in climate space, both axes in [-1, 1]
+      humidity: 0.0,
+      surfaceBlock: 'GRASS',    // Block ids from the block registry (see blocks.js)
+      fillerBlock: 'DIRT',
+      fillerDepth: 3,
+      shoreBlock: 'SAND',       // Surface used at and below the water line
+      riverBankBlock: 'SAND',   // Surface along river banks
+      riverBedBlock: 'GRAVEL',  // Surface under river water
+      heightCurve: [[0, 0], [1, 16]], // [noise, height above water level] control points
+      waterLevel: 0,            // Offset from the world's water level
+      decorationDensity: 0.0,   // Chance per column of placing a decoration
+      decorations: {},          // Feature name (see Features) -> relative weight
+      ores: []                  // Overrides for the world's ore list (see OreDistribution)
+    }, definition);
+
+    // Keep the curve sorted so sampling can walk it left to right
+    biome.heightCurve = biome.heightCurve.slice().sort((a, b) => a[0] - b[0]);
+
+    this.biomes.push(biome);
+    this.biomesById.set(biome.id, biome);
+    return biome;
+  }
+
+  // Get a biome by id
+  get(id) {
+    return this.biomesById.get(id);
+  }
+
+  // Get every registered biome
+  getAll() {
+    return this.biomes;
+  }
+
+  // Evaluate a biome's height curve for a noise value in [0, 1] (piecewise linear)
+  static sampleHeight(biome, noise) {
+    const curve = biome.heightCurve;
+
+    if (noise <= curve[0][0]) {
+      return curve[0][1];
+    }
+
+    for (let i = 1; i < curve.length; i++) {
+      const [x1, y1] = curve[i];
+      if (noise <= x1) {
+        const [x0, y0] = curve[i - 1];
+        const t = (noise - x0) / (x1 - x0);
+        return y0 + (y1 - y0) * t;
+      }
+    }
+
+    return curve[curve.length - 1][1];
+  }
+}
+
+// Default biome set
+const Biomes = new BiomeRegistry();
+
+Biomes.register({
+  id: 'ocean',
+  name: 'Ocean',
+  temperature: -0.1,
+  humidity: 0.85,
+  surfaceBlock: 'SAND',
+  fillerBlock: 'SAND',
+  heightCurve: [[0, -30], [0.6, -14], [1, -4]],
+  decorationDensity: 0.0
+});
+
+Biomes.register({
+  id: 'plains',
+  name: 'Plains',
+  temperature: 0.2,
+  humidity: -0.15,
+  heightCurve: [[0, -2], [0.5, 3], [1, 10]],
+  decorationDensity: 0.005,
+  decorations: { flower: 6, tree: 2, bush: 2 }
+});
+
+Biomes.register({
+  id: 'forest',
+  name: 'Forest',
+  temperature: 0.15,
+  humidity: 0.35,
+  heightCurve: [[0, -1], [0.5, 6], [1, 20]],
+  decorationDensity: 0.08,
+  decorations: { tree: 8, bush: 1, flower: 1 }
+});
+
+Biomes.register({
+  id: 'desert',
+  name: 'Desert',
+  temperature: 0.75,
+  humidity: -0.6,
+  surfaceBlock: 'SAND',
+  fillerBlock: 'SAND',
+  fillerDepth: 5,
+  heightCurve: [[0, 1], [0.5, 5], [1, 14]],
+  waterLevel: -2,
+  decorationDensity: 0.01,
+  decorations: { cactus: 1 },
+  ores: [
+    // Dry river beds: gold turns up much closer to the surface
+    { block: 'GOLD_ORE', minHeight: -64, maxHeight: 80, veinsPerChunk: 2, veinSize: 8 }
+  ]
+});
+
+Biomes.register({
+  id: 'mountains',
+  name: 'Mountains',
+  temperature: -0.35,
+  humidity: -0.45,
+  surfaceBlock: 'STONE',
+  fillerBlock: 'STONE',
+  riverBankBlock: 'GRAVEL',
+  heightCurve: [[0, 4], [0.4, 24], [0.7, 60], [1, 110]],
+  decorationDensity: 0.01,
+  decorations: { tree: 1, bush: 1 },
+  ores: [
+    // Iron runs all the way up into the peaks
+    { block: 'IRON_ORE', minHeight: -48, maxHeight: 200, veinsPerChunk: 5, veinSize: 10 }
+  ]
+});
+
+Biomes.register({
+  id: 'tundra',
+  name: 'Tundra',
+  temperature: -0.75,
+  humidity: 0.15,
+  surfaceBlock: 'SNOW',
+  riverBankBlock: 'GRAVEL',
+  heightCurve: [[0, -2], [0.5, 4], [1, 16]],
+  decorationDensity: 0.005,
+  decorations: { tree: 1 }
+});
+
+Biomes.register({
+  id: 'swamp',
+  name: 'Swamp',
+  temperature: 0.55,
+  humidity: 0.65,
+  shoreBlock: 'DIRT',
+  heightCurve: [[0, -3], [0.5, 0], [1, 3]],
+  waterLevel: 1,
+  decorationDensity: 0.04,
+  decorations: { tree: 3, bush: 2 }
+});
+
+// Samples temperature/humidity noise for a seed and picks (and blends) biomes from it
+class BiomeMap {
+  constructor(seed, registry = Biomes) {
+    this.seed = seed;
+    this.registry = registry;
+
+    // Independent noise channels for each climate axis
+    this.temperatureNoise = new Noise(seed + 2000);
+    this.humidityNoise = new Noise(seed + 3000);
+
+    // Climate noise frequency (biomes span a few hundred blocks)
+    this.scale = 0.002;
+
+    // Width of the border between two biomes, in climate-space units
+    this.blendWidth = 0.3;
+  }
+
+  // Get temperature and humidity at a world position, each in [-1, 1]
+  getClimate(x, z) {
+    // fBm rarely leaves [-0.6, 0.6], so stretch it to use the whole climate space
+    const temperature = this.temperatureNoise.fbm2D(x * this.scale, z * this.scale, 3) * 1.6;
+    const humidity = this.humidityNoise.fbm2D(x * this.scale, z * this.scale, 3) * 1.6;
+
+    return {
+      temperature: Math.max(-1, Math.min(1, temperature)),
+      humidity: Math.max(-1, Math.min(1, humidity))
+    };
+  }
+
+  // Get the biomes contributing to a world position, with weights that sum to 1.
+  // The nearest biome in climate space always has weight 1 before normalising;
+  // others fade in as they come within blendWidth of it, so borders are smooth.
+  getWeights(x, z) {
+    const { temperature, humidity } = this.getClimate(x, z);
+    const biomes = this.registry.getAll();
+
+    // Distance from this climate to each biome's climate point
+    const distances = biomes.map(biome => {
+      const dt = temperature - biome.temperature;
+      const dh = humidity - biome.humidity;
+      return Math.sqrt(dt * dt + dh * dh);
+    });
+    const nearest = Math.min(...distances);
+
+    const weights = [];
+    let total = 0;
+    for (let i = 0; i < biomes.length; i++) {
+      const t = (distances[i] - nearest) / this.blendWidth;
+      if (t >= 1) continue;
+
+      const weight = (1 - t) * (1 - t);
+      weights.push({ biome: biomes[i], weight });
+      total += weight;
+    }
+
+    for (const entry of weights) {
+      entry.weight /= total;
+    }
+
+    return weights;
+  }
+
+  // Get the dominant biome at a world position
+  getBiome(x, z) {
+    return BiomeMap.dominant(this.getWeights(x, z));
+  }
+
+  // Pick the highest-weighted biome from a getWeights() result
+  static dominant(weights) {
+    let best = weights[0];
+    for (const entry of weights) {
+      if (entry.weight > best.weight) {
+        best = entry;
+      }
+    }
+    return best.biome;
+  }
+}
@@ -0,0 +1,306 @@
+// blocks.js - Block definitions shared by generation, meshing and the renderers
+//
+// Blocks are registered by string id (the names used throughout the world
+// generation data, e.g. 'STONE') and get a small numeric type, which is what
+// chunks store. Definitions can be authored as JSON:
+//
+//   [
+//     { "id": "MARBLE", "displayName": "Marble", "color": [0.9, 0.9, 0.88, 1.0], "hardness": 1.5 },
+//     { "id": "LOG", "texture": { "top": "log_top", "bottom": "log_top", "side": "log" },
+//       "properties": { "axis": ["y", "x", "z"] } },
+//     ...
+//   ]
+//
+// Blocks with properties have states: one value per property, packed into a
+// byte that chunks store next to the type. The first value of each property is
+// the default, so state 0 is always the block's default state. Some property
+// names have built-in meaning:
+//
+//   axis   ['y', 'x', 'z']                      Logs: which faces show the end texture
+//   facing ['south', 'west', 'north', 'east']   Which way the block's front faces
+//   half   ['bottom', 'top']                    Which half of the cell a slab fills
+//   level  [0, 1, ... 7]                        Liquids: 0 is a full (source) block,
+//                                               higher levels sit lower in the cell
+//
+// axis, facing and half are set on placement from where the player looks and
+// the face they clicked.
+
+class BlockRegistry {
+  constructor() {
+    this.blocks = [];              // Numeric type -> block definition
+    this.blocksById = new Map();   // Block id -> block definition
+    this.types = {};               // Block id -> numeric type, for quick lookups in hot loops
+    this.version = 0;              // Counts registrations, so tables built from the blocks can tell they're stale
+  }
+
+  // Register a block definition, filling in defaults for anything it leaves out.
+  // Re-registering an id replaces its definition but keeps its numeric type, so
+  // chunks that already store it stay valid.
+  register(definition) {
+    const existing = this.blocksById.get(definition.id);
+    if (existing) {
+      console.warn(`Block "${definition.id}" is already registered, replacing it`);
+    } else if (this.blocks.length > 255) {
+      console.error(`Can't register block "${definition.id}": chunks store at most 256 block types`);
+      return null;
+    }
+
+    const block = Object.assign({
+      displayName: definition.id,
+      solid: true,              // Collides and can be built against
+      transparent: false,       // Lets faces of the blocks behind it show through
+      liquid: false,
+      color: [1.0, 0.0, 1.0, 1.0], // RGBA for procedural textures; alpha < 1 makes the block translucent
+      texture: null,            // Texture name, or names per face (see getFaceTextures)
+      hardness: 1.0,            // Relative time to break (negative = unbreakable)
+      lightEmission: 0,         // Block light level it gives off, 0-15
+      lightOpacity: 0,          // Extra light levels lost passing through it (opaque blocks stop light anyway)
+      properties: {},           // State properties: name -> values (the first is the default)
+      model: 'cube'             // Shape, a name from BlockModels
+    }, definition);
+
+    if (!BlockModels[block.model]) {
+      console.warn(`Block "${block.id}" uses unknown model "${block.model}", drawing it as a cube`);
+      block.model = 'cube';
+    }
+
+    // Blocks whose colour isn't fully opaque (water) are blended, in a render pass of their own
+    block.translucent = block.color[3] < 1;
+
+    // Number of distinct states, which must fit in the chunk's state byte
+    block.stateCount = Object.values(block.properties).reduce((count, values) => count * values.length, 1);
+    if (block.stateCount > 256) {
+      console.error(`Block "${block.id}" has ${block.stateCount} states, at most 256 fit in a chunk`);
+      return null;
+    }
+
+    block.type = existing ? existing.type : this.blocks.length;
+    block.faceTextures = BlockRegistry.getFaceTextures(block);
+
+    // Textures and texture rotations for each face in each state, and the shape of
+    // each state (dynamic models are evaluated here without neighbours, which is
+    // what culling goes by)
+    block.stateFaces = [];
+    block.stateModels = [];
+    for (let state = 0; state < block.stateCount; state++) {
+      block.stateFaces.push(BlockRegistry.getStateFaces(block, state));
+
+      const shape = BlockModels[block.model].getShape(BlockRegistry.decodeState(block, state), null);
+      shape.fullFaces = BlockModels.getFullFaces(shape);
+      shape.sideRects = BlockModels.getSideRects(shape);
+      block.stateModels.push(shape);
+    }
+
+    this.blocks[block.type] = block;
+    this.blocksById.set(block.id, block);
+    this.types[block.id] = block.type;
+    this.version++;
+    return block;
+  }
+
+  // Register every definition in a JSON string or already-parsed array
+  load(json) {
+    const definitions = typeof json === 'string' ? JSON.parse(json) : json;
+    return definitions.map(definition => this.register(definition));
+  }
+
+  // Get a block by id
+  get(id) {
+    return this.blocksById.get(id);
+  }
+
+  // Get a block by the numeric type stored in chunks (unknown types read as air)
+  getByType(type) {
+    return this.blocks[type] || this.blocks[0];
+  }
+
+  // Get every registered block, in numeric type order
+  getAll() {
+    return this.blocks;
+  }
+
+  // Texture names for a block's six faces, in mesh face order (top, front, right,
+  // back, left, bottom). A block's texture is a single name, or an object with
+  // any of top/bottom/side and front/back/left/right (which override side).
+  // Faces left out fall back to the block id in lower case.
+  static getFaceTextures(block) {
+    const texture = block.texture || block.id.toLowerCase();
+    if (typeof texture === 'string') {
+      return [texture, texture, texture, texture, texture, texture];
+    }
+
+    const fallback = block.id.toLowerCase();
+    const side = name => texture[name] || texture.side || fallback;
+    return [
+      texture.top || fallback,
+      side('front'),
+      side('right'),
+      side('back'),
+      side('left'),
+      texture.bottom || fallback
+    ];
+  }
+
+  // Pack property values into a state number (missing or unknown values use the default)
+  static encodeState(block, properties) {
+    let state = 0;
+    let multiplier = 1;
+
+    for (const [name, values] of Object.entries(block.properties)) {
+      const index = values.indexOf(properties[name]);
+      state += Math.max(0, index) * multiplier;
+      multiplier *= values.length;
+    }
+
+    return state;
+  }
+
+  // Unpack a state number into an object of property values
+  static decodeState(block, state) {
+    const properties = {};
+
+    for (const [name, values] of Object.entries(block.properties)) {
+      properties[name] = values[state % values.length];
+      state = Math.floor(state / values.length);
+    }
+
+    return properties;
+  }
+
+  // Face textures and quarter-turn texture rotations for one state of a block.
+  // The unrotated block stands upright (axis y) and faces south (+z).
+  static getStateFaces(block, state) {
+    const { axis = 'y', facing = 'south' } = BlockRegistry.decodeState(block, state);
+    const textures = block.faceTextures.slice();
+    const rotations = [0, 0, 0, 0, 0, 0];
+
+    // Turn the horizontal faces: mesh faces south (1), west (4), north (3), east (2)
+    // in clockwise order seen from above
+    const ring = [1, 4, 3, 2];
+    const turns = ['south', 'west', 'north', 'east'].indexOf(facing);
+    for (let i = 0; i < 4; i++) {
+      textures[ring[(i + turns) % 4]] = block.faceTextures[ring[i]];
+    }
+
+    // Lay logs on their side: the end texture moves to the faces along the axis,
+    // and the faces whose grain now runs horizontally are rotated to match
+    if (axis === 'x') {
+      const side = textures[1];
+      textures[2] = textures[4] = textures[0];
+      textures[0] = textures[1] = textures[3] = textures[5] = side;
+      rotations[0] = rotations[1] = rotations[3] = rotations[5] = 1;
+    } else if (axis === 'z') {
+      const side = textures[2];
+      textures[1] = textures[3] = textures[0];
+      textures[0] = textures[2] = textures[4] = textures[5] = side;
+      rotations[2] = rotations[4] = 1;
+    }
+
+    return { textures, rotations };
+  }
+
+  // State for a block placed against the face of another block. hit is a World.raycast
+  // result (its normal points out of the clicked face) and front is the camera's view direction.
+  static getPlacementState(block, hit, front) {
+    const properties = {};
+    const values = block.properties;
+
+    if (values.axis) {
+      // Along the clicked face's normal, like a log pushed into the surface
+      properties.axis = hit.normal[0] !== 0 ? 'x' : hit.normal[2] !== 0 ? 'z' : 'y';
+    }
+
+    if (values.facing) {
+      // Face back towards the player
+      if (Math.abs(front[0]) > Math.abs(front[2])) {
+        properties.facing = front[0] > 0 ? 'west' : 'east';
+      } else {
+        properties.facing = front[2] > 0 ? 'north' : 'south';
+      }
+    }
+
+    if (values.half) {
+      // Against a ceiling, or the upper half of a wall, the slab hangs in the top half
+      if (hit.normal[1] !== 0) {
+        properties.half = hit.normal[1] < 0 ? 'top' : 'bottom';
+      } else {
+        properties.half = hit.point[1] - Math.floor(hit.point[1]) > 0.5 ? 'top' : 'bottom';
+      }
+    }
+
+    return BlockRegistry.encodeState(block, properties);
+  }
+
+  // Whether a block hides the face of its neighbour on one of its sides (face in
+  // mesh order, from this block's point of view). Transparent blocks only hide
+  // faces of the same block, so water and leaves don't show their inner faces.
+  hidesFace(type, state, face, neighbourType) {
+    const block = this.getByType(type);
+    const shape = block.stateModels[state] || block.stateModels[0];
+    return (shape.fullFaces & (1 << face)) !== 0 && (!block.transparent || type === neighbourType);
+  }
+
+  // Whether a block hides part of its neighbour's face on one of its sides, the
+  // rectangle rect in that side's axes (see BlockModels.getSideRects): e.g. the
+  // side of a slab against the side of another slab
+  hidesFacePart(type, state, face, neighbourType, rect) {
+    const block = this.getByType(type);
+    const shape = block.stateModels[state] || block.stateModels[0];
+    return shape.sideRects[face].length > 0 && (!block.transparent || type === neighbourType) &&
+      BlockModels.coversRect(shape.sideRects[face], rect);
+  }
+
+  // Whether a block darkens the corners of faces next to it (ambient
+  // occlusion): solid full cubes do, partial shapes and liquids don't
+  isOccluder(type, state) {
+    const block = this.getByType(type);
+    const shape = block.stateModels[state] || block.stateModels[0];
+    return block.solid && shape.fullFaces === 0b111111;
+  }
+
+  // Whether nothing can be seen (and no light gets) through a block: solid
+  // full cubes that aren't transparent (so not leaves)
+  isOpaque(type, state) {
+    return this.isOccluder(type, state) && !this.getByType(type).transparent;
+  }
+
+  // Whether faces next to this block type are visible (air, water, leaves...)
+  isTransparent(type) {
+    return this.getByType(type).transparent;
+  }
+}
+
+// Default block set. AIR must come first: chunks start out filled with type 0.
+const Blocks = new BlockRegistry();
+
+Blocks.load([
+  { id: 'AIR', displayName: 'Air', solid: false, transparent: true, color: [0.0, 0.0, 0.0, 0.0], hardness: 0 },
+  { id: 'GRASS', displayName: 'Grass Block', color: [0.4, 0.8, 0.2, 1.0], hardness: 0.6,
+    texture: { top: 'grass_top', side: 'grass_side', bottom: 'dirt' } },
+  { id: 'DIRT', displayName: 'Dirt', color: [0.6, 0.3, 0.1, 1.0], hardness: 0.5 },
+  { id: 'STONE', displayName: 'Stone', color: [0.5, 0.5, 0.5, 1.0], hardness: 1.5 },
+  { id: 'WATER', displayName: 'Water', solid: false, transparent: true, liquid: true, color: [0.0, 0.0, 0.8, 0.6], hardness: -1, lightOpacity: 2,
+    properties: { level: [0, 1, 2, 3, 4, 5, 6, 7] }, model: 'liquid' },
+  { id: 'SAND', displayName: 'Sand', color: [0.8, 0.8, 0.2, 1.0], hardness: 0.5 },
+  { id: 'SNOW', displayName: 'Snow Block', color: [0.95, 0.95, 1.0, 1.0], hardness: 0.2 },
+  { id: 'WOOD', displayName: 'Wood', color: [0.45, 0.3, 0.15, 1.0], hardness: 2.0,
+    texture: { top: 'wood_top', bottom: 'wood_top', side: 'wood' }, properties: { axis: ['y', 'x', 'z'] } },
+  { id: 'LEAVES', displayName: 'Leaves', transparent: true, color: [0.2, 0.55, 0.15, 1.0], hardness: 0.2, lightOpacity: 1 },
+  { id: 'CACTUS', displayName: 'Cactus', color: [0.3, 0.6, 0.2, 1.0], hardness: 0.4 },
+  { id: 'FLOWER', displayName: 'Flower', solid: false, transparent: true, color: [0.9, 0.2, 0.2, 1.0], hardness: 0, model: 'cross' },
+  { id: 'COAL_ORE', displayName: 'Coal Ore', color: [0.2, 0.2, 0.2, 1.0], hardness: 3.0 },
+  { id: 'IRON_ORE', displayName: 'Iron Ore', color: [0.75, 0.6, 0.5, 1.0], hardness: 3.0 },
+  { id: 'GOLD_ORE', displayName: 'Gold Ore', color: [0.95, 0.8, 0.2, 1.0], hardness: 3.0 },
+  { id: 'DIAMOND_ORE', displayName: 'Diamond Ore', color: [0.4, 0.9, 0.9, 1.0], hardness: 3.0 },
+  { id: 'GRAVEL', displayName: 'Gravel', color: [0.55, 0.5, 0.48, 1.0], hardness: 0.6 },
+  { id: 'GRANITE', displayName: 'Granite', color: [0.65, 0.45, 0.4, 1.0], hardness: 1.5 },
+  { id: 'BEDROCK', displayName: 'Bedrock', color: [0.2, 0.2, 0.22, 1.0], hardness: -1 },
+  { id: 'STONE_SLAB', displayName: 'Stone Slab', color: [0.5, 0.5, 0.5, 1.0], hardness: 1.5, texture: 'stone',
+    properties: { half: ['bottom', 'top'] }, model: 'slab' },
+  { id: 'STONE_STAIRS', displayName: 'Stone Stairs', color: [0.5, 0.5, 0.5, 1.0], hardness: 1.5, texture: 'stone',
+    properties: { facing: ['south', 'west', 'north', 'east'], half: ['bottom', 'top'] }, model: 'stair' },
+  { id: 'FENCE', displayName: 'Fence', transparent: true, color: [0.45, 0.3, 0.15, 1.0], hardness: 2.0, texture: 'wood', model: 'fence' },
+  { id: 'TORCH', displayName: 'Torch', solid: false, transparent: true, color: [0.45, 0.3, 0.15, 1.0], hardness: 0,
+    lightEmission: 14, model: 'torch' },
+  { id: 'TALL_GRASS', displayName: 'Tall Grass', solid: false, transparent: true, color: [0.35, 0.7, 0.2, 1.0], hardness: 0, model: 'cross' }
+]);
@@ -1,7 +1,7 @@
 class Camera {
   constructor(canvas) {
     // Camera position and orientation
-    this.position = [0.0, 10.0, 0.0]; // Start on top of the chunk
+    this.position = [0.0, 80.0, 0.0]; // Start above the water level
     this.front = [0.0, 0.0, -1.0];
     this.up = [0.0, 1.0, 0.0];
     this.right = [1.0, 0.0, 0.0];
@@ -0,0 +1,217 @@
+// caves.js - Worm-style cave and ravine carver
+//
+// Cave systems are seeded per chunk column. Each system is a set of "worms":
+// paths that wander through the world as a chain of ellipsoid segments. A worm
+// can travel up to `range` chunks from the column that started it, so to carve
+// a chunk we look at every column within range and keep the segments that
+// overlap it. Only +, * and sqrt are used, so paths are identical on every engine.
+
+class CaveCarver {
+  constructor(seed, options = {}) {
+    const { minHeight = -64, waterLevel = 62, waterTable = minHeight + 16 } = options;
+
+    this.seed = seed;
+    this.minHeight = minHeight;
+    this.waterLevel = waterLevel;
+
+    // Carved space below this height is flooded
+    this.waterTable = waterTable;
+
+    // Chance for a chunk column to start a cave system / a ravine
+    this.caveChance = 0.3;
+    this.ravineChance = 0.02;
+
+    // How many chunks a worm can reach from its origin column (see the length limits below)
+    this.range = 8;
+
+    // Worms generated per origin column, oldest evicted first
+    this.cache = new Map();
+    this.cacheLimit = 2048;
+  }
+
+  // Get the worms started by a chunk column (generated on first use)
+  getWorms(columnX, columnZ, chunkSize) {
+    const key = `${columnX},${columnZ}`;
+    let worms = this.cache.get(key);
+
+    if (!worms) {
+      worms = this.generateWorms(columnX, columnZ, chunkSize);
+      this.cache.set(key, worms);
+
+      if (this.cache.size > this.cacheLimit) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+    }
+
+    return worms;
+  }
+
+  // Build the cave systems and ravines that start in a chunk column
+  generateWorms(columnX, columnZ, chunkSize) {
+    const random = Noise.createRandom(`${this.seed}:cave:${columnX}:${columnZ}`);
+    const worms = [];
+
+    if (random() < this.caveChance) {
+      const systems = 1 + Math.floor(random() * 3);
+
+      for (let i = 0; i < systems; i++) {
+        const x = columnX * chunkSize + random() * chunkSize;
+        const z = columnZ * chunkSize + random() * chunkSize;
+        const y = this.minHeight + 8 + random() * (this.waterLevel + 16 - this.minHeight - 8);
+
+        // Some systems open out of a larger room
+        if (random() < 0.25) {
+          const radius = 3 + random() * 3;
+          worms.push(this.createWorm([{ x, y, z, rh: radius, rv: radius * 0.6 }]));
+        }
+
+        // A few tunnels leaving the start point in different directions
+        const tunnels = 1 + Math.floor(random() * 3);
+        for (let j = 0; j < tunnels; j++) {
+          const [dirX, dirZ] = this.randomDirection(random);
+          const dirY = (random() - 0.5) * 0.5;
+          const length = 40 + Math.floor(random() * 60);
+          const radius = 1.2 + random() * 1.8;
+          this.generateWorm(worms, random, x, y, z, dirX, dirY, dirZ, length, radius, 1, false);
+        }
+      }
+    }
+
+    if (random() < this.ravineChance) {
+      const x = columnX * chunkSize + random() * chunkSize;
+      const z = columnZ * chunkSize + random() * chunkSize;
+      const y = this.waterLevel - 30 + random() * 30;
+      const [dirX, dirZ] = this.randomDirection(random);
+      const length = 60 + Math.floor(random() * 40);
+      const radius = 1.5 + random() * 1.5;
+      this.generateWorm(worms, random, x, y, z, dirX, 0, dirZ, length, radius, 0, true);
+    }
+
+    return worms;
+  }
+
+  // Walk one worm, appending it (and any branches) to worms
+  generateWorm(worms, random, x, y, z, dirX, dirY, dirZ, length, radius, branchDepth, ravine) {
+    const segments = [];
+
+    // Tunnels split into two smaller branches somewhere in their middle third
+    const branchAt = branchDepth > 0 ? Math.floor(length * (0.3 + random() * 0.4)) : -1;
+    let radiusDrift = 0;
+
+    for (let step = 0; step < length; step++) {
+      // Thicker in the middle, tapering at both ends, with a slow random wobble
+      const t = step / length;
+      const swell = 4 * t * (1 - t);
+      radiusDrift = Math.max(-0.5, Math.min(0.5, radiusDrift + (random() - 0.5) * 0.3));
+      const r = Math.max(0.8, radius * (0.5 + swell * 0.7) + radiusDrift);
+
+      // Ravines are narrow and very tall, tunnels slightly flattened
+      segments.push({ x, y, z, rh: r, rv: ravine ? r * 4 : r * 0.8 });
+
+      // Steer: mostly horizontal turns, with the vertical component damped
+      dirX += (random() - 0.5) * 0.4;
+      dirZ += (random() - 0.5) * 0.4;
+      dirY = dirY * 0.9 + (random() - 0.5) * (ravine ? 0.05 : 0.2);
+      const len = Math.sqrt(dirX * dirX + dirY * dirY + dirZ * dirZ);
+      dirX /= len;
+      dirY /= len;
+      dirZ /= len;
+
+      x += dirX;
+      y += dirY;
+      z += dirZ;
+
+      if (step === branchAt) {
+        // Branch off to both sides, perpendicular to the current heading
+        const remaining = Math.floor((length - step) * 0.8);
+        this.generateWorm(worms, random, x, y, z, -dirZ, dirY, dirX, remaining, radius * 0.7, branchDepth - 1, false);
+        this.generateWorm(worms, random, x, y, z, dirZ, dirY, -dirX, remaining, radius * 0.7, branchDepth - 1, false);
+      }
+    }
+
+    worms.push(this.createWorm(segments));
+  }
+
+  // Wrap segments with their bounding box so chunks can skip worms quickly
+  createWorm(segments) {
+    const worm = {
+      segments,
+      minX: Infinity, minY: Infinity, minZ: Infinity,
+      maxX: -Infinity, maxY: -Infinity, maxZ: -Infinity
+    };
+
+    for (const s of segments) {
+      worm.minX = Math.min(worm.minX, s.x - s.rh);
+      worm.minY = Math.min(worm.minY, s.y - s.rv);
+      worm.minZ = Math.min(worm.minZ, s.z - s.rh);
+      worm.maxX = Math.max(worm.maxX, s.x + s.rh);
+      worm.maxY = Math.max(worm.maxY, s.y + s.rv);
+      worm.maxZ = Math.max(worm.maxZ, s.z + s.rh);
+    }
+
+    return worm;
+  }
+
+  // Random horizontal unit vector, without trig (rejection sampling)
+  randomDirection(random) {
+    for (;;) {
+      const x = random() * 2 - 1;
+      const z = random() * 2 - 1;
+      const lenSq = x * x + z * z;
+      if (lenSq > 0.01 && lenSq <= 1) {
+        const len = Math.sqrt(lenSq);
+        return [x / len, z / len];
+      }
+    }
+  }
+
+  // Call callback(x, y, z) with local coordinates for every block of a chunk inside a cave.
+  // Blocks where segments overlap may be reported more than once.
+  forEachCarvedBlock(chunkX, chunkY, chunkZ, chunkSize, callback) {
+    const baseX = chunkX * chunkSize;
+    const baseY = chunkY * chunkSize;
+    const baseZ = chunkZ * chunkSize;
+
+    for (let columnX = chunkX - this.range; columnX <= chunkX + this.range; columnX++) {
+      for (let columnZ = chunkZ - this.range; columnZ <= chunkZ + this.range; columnZ++) {
+        for (const worm of this.getWorms(columnX, columnZ, chunkSize)) {
+          // Skip worms that don't touch this chunk at all
+          if (worm.maxX < baseX || worm.minX >= baseX + chunkSize ||
+              worm.maxY < baseY || worm.minY >= baseY + chunkSize ||
+              worm.maxZ < baseZ || worm.minZ >= baseZ + chunkSize) {
+            continue;
+          }
+
+          for (const s of worm.segments) {
+            // Block range covered by this segment, clipped to the chunk
+            const x0 = Math.max(0, Math.floor(s.x - s.rh) - baseX);
+            const x1 = Math.min(chunkSize - 1, Math.floor(s.x + s.rh) - baseX);
+            const y0 = Math.max(0, Math.floor(s.y - s.rv) - baseY);
+            const y1 = Math.min(chunkSize - 1, Math.floor(s.y + s.rv) - baseY);
+            const z0 = Math.max(0, Math.floor(s.z - s.rh) - baseZ);
+            const z1 = Math.min(chunkSize - 1, Math.floor(s.z + s.rh) - baseZ);
+
+            if (x0 > x1 || y0 > y1 || z0 > z1) {
+              continue;
+            }
+
+            for (let x = x0; x <= x1; x++) {
+              const dx = (baseX + x + 0.5 - s.x) / s.rh;
+              for (let y = y0; y <= y1; y++) {
+                const dy = (baseY + y + 0.5 - s.y) / s.rv;
+                for (let z = z0; z <= z1; z++) {
+                  const dz = (baseZ + z + 0.5 - s.z) / s.rh;
+
+                  // Inside the segment's ellipsoid
+                  if (dx * dx + dy * dy + dz * dz < 1) {
+                    callback(x, y, z);
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}
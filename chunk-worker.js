@@ -0,0 +1,89 @@
+// chunk-worker.js - Generates and meshes chunks off the main thread
+//
+// Runs as a Web Worker started by ChunkWorkerPool (worker-pool.js), or as a
+// Node worker_thread, so generation and meshing can be run headless. Either way
+// it loads the same scripts the page does. Messages it understands:
+//
+//   { type: 'init', blocks, tiles, generator }   Block definitions, atlas tile
+//                                                indices (TextureAtlas.getTileIndices)
+//                                                and the world generator's { type, seed, options }
+//   { id, type: 'generate', chunkX, chunkY, chunkZ, size }  -> { id, blocks, states }
+//   { id, type: 'mesh', size, padded, options }             -> { id, mesh }
+//
+// Jobs reply with their id, or { id, error } if they fail. Init only replies if
+// it fails, with { error }. The typed arrays in replies are transferred, not copied.
+
+const CHUNK_WORKER_SCRIPTS = [
+  'utils.js', 'models.js', 'blocks.js', 'noise.js', 'textures.js',
+  'biomes.js', 'ores.js', 'caves.js', 'rivers.js', 'generators.js', 'chunk.js'
+];
+
+let postReply;
+if (typeof importScripts === 'function') {
+  importScripts(...CHUNK_WORKER_SCRIPTS);
+  postReply = (message, transfer) => self.postMessage(message, transfer);
+  self.onmessage = event => handleChunkJob(event.data);
+} else {
+  // Node: run the scripts in this thread's global scope, as a page would
+  const { parentPort } = require('worker_threads');
+  const fs = require('fs');
+  const path = require('path');
+  const vm = require('vm');
+  for (const script of CHUNK_WORKER_SCRIPTS) {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, script), 'utf8'), { filename: script });
+  }
+  postReply = (message, transfer) => parentPort.postMessage(message, transfer);
+  parentPort.on('message', handleChunkJob);
+}
+
+// Set up by the init message
+let workerRegistry = null;
+let workerAtlas = null;
+let workerGenerator = null;
+let workerInitError = null;
+
+function handleChunkJob(message) {
+  if (message.type === 'init') {
+    try {
+      workerRegistry = new BlockRegistry();
+      workerRegistry.load(message.blocks);
+      workerAtlas = message.tiles ? TextureAtlas.tileLookup(message.tiles) : null;
+      if (message.generator) {
+        const { type, seed, options } = message.generator;
+        workerGenerator = createWorldGenerator(type, seed, Object.assign({ blocks: workerRegistry }, options));
+      }
+      workerInitError = null;
+    } catch (error) {
+      workerInitError = `Worker init failed: ${error.message}`;
+      postReply({ error: workerInitError });
+    }
+    return;
+  }
+
+  // Until an init succeeds every job fails with the reason it didn't
+  if (workerInitError) {
+    postReply({ id: message.id, error: workerInitError });
+    return;
+  }
+
+  try {
+    if (message.type === 'generate') {
+      const chunk = new Chunk(message.size, workerRegistry);
+      workerGenerator.generateChunk(chunk, message.chunkX, message.chunkY, message.chunkZ);
+      postReply({ id: message.id, blocks: chunk.blocks, states: chunk.states },
+        [chunk.blocks.buffer, chunk.states.buffer]);
+    } else if (message.type === 'mesh') {
+      const chunk = new Chunk(message.size, workerRegistry);
+      const mesh = chunk.buildMesh(workerAtlas, Object.assign({}, message.options, { padded: message.padded }));
+      const transfer = [];
+      for (const part of [mesh.opaque, mesh.translucent]) {
+        transfer.push(part.vertices.buffer, part.indices.buffer);
+      }
+      postReply({ id: message.id, mesh }, transfer);
+    } else {
+      postReply({ id: message.id, error: `Unknown job type "${message.type}"` });
+    }
+  } catch (error) {
+    postReply({ id: message.id, error: error.message });
+  }
+}
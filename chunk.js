@@ -1,361 +1,802 @@
-// Enhanced Chunk class with better terrain generation
+// Chunk class: one 16x16x16 section of blocks and its mesh (terrain comes from generators.js)
+
+// Slight color variations for different faces (applied by the chunk shader)
+const FACE_SHADING = [
+  1.0,     // Top face (brightest)
+  0.8,     // Front face 
+  0.8,     // Right face
+  0.6,     // Back face (darkest)
+  0.6,     // Left face
+  0.5      // Bottom face
+];
+
+// Faces: top, front, right, back, left, bottom
+// Each face direction as [x, y, z]
+const FACE_DIRECTIONS = [
+  [0, 1, 0],   // top
+  [0, 0, 1],   // front
+  [1, 0, 0],   // right
+  [0, 0, -1],  // back
+  [-1, 0, 0],  // left
+  [0, -1, 0]   // bottom
+];
+
+// Corners of each face of a unit cube, in the order the mesher emits them
+const FACE_CORNERS = [
+  [[0, 1, 0], [1, 1, 0], [1, 1, 1], [0, 1, 1]],  // top
+  [[0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]],  // front
+  [[1, 0, 0], [1, 0, 1], [1, 1, 1], [1, 1, 0]],  // right
+  [[1, 0, 0], [0, 0, 0], [0, 1, 0], [1, 1, 0]],  // back
+  [[0, 0, 0], [0, 0, 1], [0, 1, 1], [0, 1, 0]],  // left
+  [[0, 0, 0], [1, 0, 0], [1, 0, 1], [0, 0, 1]]   // bottom
+];
+
+// Brightness of a vertex by ambient occlusion level (0 = fully enclosed, 3 = open),
+// also applied by the chunk shader
+const AO_BRIGHTNESS = [0.5, 0.65, 0.8, 1.0];
+
+// The axis (0 = x, 1 = y, 2 = z) each face points along
+const FACE_AXES = [1, 2, 0, 2, 0, 1];
+
+// The face on the other side of each face (top <-> bottom, front <-> back, right <-> left)
+const OPPOSITE_FACES = [5, 3, 4, 1, 2, 0];
+
+// Mesh vertices are packed into 16 bytes each, interleaved in one buffer, and
+// unpacked by the chunk vertex shader (shaders.js):
+//   0   uint16 x, y, z   Position in the chunk, in 1/VERTEX_POSITION_SCALE blocks
+//   6   uint16 tile      Atlas tile index
+//   8   int16 s, t       Position on the tile, in 1/VERTEX_POSITION_SCALE tiles
+//   12  uint8 face | ao << 3   Face direction (for shading) and ambient occlusion level
+//   13  uint8 light      Sky light << 4 | block light
+//   14  uint8 alpha
+//   15  (unused)
+const VERTEX_SIZE = 16;
+const VERTEX_POSITION_SCALE = 256;
+
+// While a mesh is being built each vertex is this many plain numbers:
+// x, y, z, tile, s, t, face, ao, light, alpha
+const VERTEX_FIELDS = 10;
+
+// Vertices in a mesh whose indices still fit in 16 bits
+const MAX_SHORT_INDEXED_VERTICES = 65536;
+
+// Packed light (sky << 4 | block) of a block in full daylight: what chunks
+// start out with, and what blocks outside the loaded world count as
+const FULL_LIGHT = 15 << 4;
+
 class Chunk {
-  constructor(size = 16) {
+  constructor(size = 16, registry = Blocks) {
     this.size = size;
+    
+    // Blocks are stored as numeric types from the block registry (0 = air), with
+    // each block's state (see blocks.js) in a parallel array
+    this.registry = registry;
     this.blocks = new Uint8Array(size * size * size);
-    this.blockTypes = {
-      AIR: 0,
-      GRASS: 1,
-      DIRT: 2,
-      STONE: 3,
-      WATER: 4,
-      SAND: 5
-    };
+    this.states = new Uint8Array(size * size * size);
     
-    // Block colors based on type
-    this.blockColors = [
-      [0.0, 0.0, 0.0, 0.0],         // AIR (transparent)
-      [0.4, 0.8, 0.2, 1.0],         // GRASS
-      [0.6, 0.3, 0.1, 1.0],         // DIRT
-      [0.5, 0.5, 0.5, 1.0],         // STONE
-      [0.0, 0.0, 0.8, 0.6],         // WATER
-      [0.8, 0.8, 0.2, 1.0]          // SAND
-    ];
-    
-    // Slight color variations for different faces
-    this.faceShading = [
-      1.0,     // Top face (brightest)
-      0.8,     // Front face 
-      0.8,     // Right face
-      0.6,     // Back face (darkest)
-      0.6,     // Left face
-      0.5      // Bottom face
-    ];
-    
-    // Fill with air by default
-    this.blocks.fill(this.blockTypes.AIR);
+    // Light level of each block, sky light << 4 | block light, set by the
+    // world's LightEngine (lighting.js)
+    this.light = new Uint8Array(size * size * size).fill(FULL_LIGHT);
   }
   
   // Get block at x,y,z position
   getBlock(x, y, z) {
     if (x < 0 || y < 0 || z < 0 || x >= this.size || y >= this.size || z >= this.size) {
-      return this.blockTypes.AIR; // Air outside chunk boundaries
+      return this.registry.types.AIR; // Air outside chunk boundaries
     }
     const index = x + (y * this.size) + (z * this.size * this.size);
     return this.blocks[index];
   }
   
-  // Set block at x,y,z position
-  setBlock(x, y, z, blockType) {
+  // Get the state of the block at x,y,z position
+  getState(x, y, z) {
     if (x < 0 || y < 0 || z < 0 || x >= this.size || y >= this.size || z >= this.size) {
-      return; // Out of bounds
+      return 0;
     }
     const index = x + (y * this.size) + (z * this.size * this.size);
-    this.blocks[index] = blockType;
+    return this.states[index];
   }
   
-  // Generate simple perlin noise (simplified version)
-  noise(x, y, z, seed) {
-    // Simple hash function for pseudo-randomness
-    const hash = (x + seed) * 374761393 + y * 668265263 + z * 952531579;
-    const value = Math.sin(hash) * 43758.5453123;
-    return value - Math.floor(value);
+  // Set block (and its state, default state if left out) at x,y,z position
+  setBlock(x, y, z, blockType, state = 0) {
+    if (x < 0 || y < 0 || z < 0 || x >= this.size || y >= this.size || z >= this.size) {
+      return; // Out of bounds
+    }
+    const index = x + (y * this.size) + (z * this.size * this.size);
+    this.blocks[index] = blockType;
+    this.states[index] = state;
   }
   
-  // Generate 2D noise for terrain
-  noise2D(x, z, seed) {
-    // Use multiple octaves for more natural terrain
-    let result = 0;
-    let amplitude = 1.0;
-    let frequency = 0.1;
-    let maxValue = 0;
-    
-    for (let i = 0; i < 4; i++) {
-      result += this.noise(x * frequency, 0, z * frequency, seed) * amplitude;
-      maxValue += amplitude;
-      amplitude *= 0.5;
-      frequency *= 2;
+  // Build mesh (only visible faces), with textures from the atlas (or anything
+  // with its getTileIndex, like TextureAtlas.tileLookup); without one every face
+  // shows the missing texture.
+  // Options:
+  //   greedy      Merge touching faces of the same full-cube block into larger
+  //               rectangles (default); false emits one quad per face
+  //   neighbours  Function (dx, dy, dz) -> the chunk at that offset (-1..1 on
+  //               each axis), if loaded. Faces against a neighbour's blocks are
+  //               culled like faces inside the chunk; without it (or where a
+  //               neighbour is missing) the outside counts as air.
+  //   ambientOcclusion  Darken the corners of full-cube faces by the blocks
+  //               around them (default), stored in the vertices
+  //   padded      Blocks, states and light with their border already gathered (see
+  //               getPaddedBlocks), used instead of the chunk's own arrays and
+  //               neighbours. This is how workers mesh chunks they don't hold.
+  //   lod         Level of detail: 0 (default) is full resolution, 1 and 2
+  //               mesh the chunk at half and a quarter of it (see buildLodMesh)
+  // Faces are lit by the light of the block in front of them (faces inside
+  // the cell, like plants and the tops of slabs, by the block's own).
+  // Returns { opaque, translucent, visibility }: translucent blocks (water) are
+  // drawn in a separate, blended pass, so they get a mesh of their own. Each is
+  // { vertices, indices, vertexCount }, packed as described at VERTEX_SIZE, with
+  // 32-bit indices when there are too many vertices for 16 bits (see splitMesh).
+  // visibility is described at getVisibility.
+  buildMesh(atlas = null, options = {}) {
+    const { greedy = true, neighbours = null, ambientOcclusion = true, lod = 0 } = options;
+    const padded = options.padded || this.getPaddedBlocks(lod > 0 ? null : neighbours);
+    const visibility = this.getVisibility(padded);
+    if (lod > 0) {
+      return Object.assign(this.buildLodMesh(atlas, lod, padded, { greedy, ambientOcclusion }), { visibility });
     }
+    const meshes = {
+      opaque: { vertices: [], indices: [] },
+      translucent: { vertices: [], indices: [] }
+    };
     
-    return result / maxValue;
-  }
-  
-  // Generate terrain with better algorithms, using world chunk coordinates
-  generateTerrain(chunkWorldX, chunkWorldZ, seed) {
-    // Fill with air first
-    this.blocks.fill(this.blockTypes.AIR);
+    // Visible faces of full cubes, collected for the greedy pass: per face
+    // direction and block index, 1 + (light << 18 | ao << 16 | type << 8 | state),
+    // or 0 for no face
+    const faceKeys = greedy ? new Int32Array(6 * this.size * this.size * this.size) : null;
     
-    // Water level
-    const waterLevel = Math.floor(this.size * 0.3); // 30% up from bottom
+    // This chunk's blocks with a border of the neighbours' blocks around them
+    const paddedSize = this.size + 2;
+    const paddedIndex = (x, y, z) => (x + 1) + (y + 1) * paddedSize + (z + 1) * paddedSize * paddedSize;
+    const blockAt = (x, y, z) => padded.blocks[paddedIndex(x, y, z)];
+    const stateAt = (x, y, z) => padded.states[paddedIndex(x, y, z)];
+    const lightAt = padded.light ? (x, y, z) => padded.light[paddedIndex(x, y, z)] : () => FULL_LIGHT;
     
-    // Create a heightmap using improved noise function
-    const heightMap = [];
+    // Loop through every block in the chunk
     for (let x = 0; x < this.size; x++) {
-      heightMap[x] = [];
-      for (let z = 0; z < this.size; z++) {
-        // Calculate world coordinates
-        const worldX = chunkWorldX * this.size + x;
-        const worldZ = chunkWorldZ * this.size + z;
-        
-        // Generate height using noise
-        // Scale height to be between 0 and size
-        const noise = this.noise2D(worldX * 0.02, worldZ * 0.02, seed);
-        
-        // Add some variety to the terrain
-        let height;
-        
-        // Create different biomes based on noise
-        const biomeFactor = this.noise2D(worldX * 0.005, worldZ * 0.005, seed + 1000);
-        
-        if (biomeFactor > 0.6) {
-          // Mountains
-          height = Math.floor(noise * this.size * 0.7 + this.size * 0.3);
-        } else if (biomeFactor < 0.3) {
-          // Plains
-          height = Math.floor(noise * this.size * 0.2 + this.size * 0.3);
-        } else {
-          // Hills
-          height = Math.floor(noise * this.size * 0.4 + this.size * 0.3);
+      for (let y = 0; y < this.size; y++) {
+        for (let z = 0; z < this.size; z++) {
+          const blockType = blockAt(x, y, z);
+          
+          // Skip air blocks
+          if (blockType === this.registry.types.AIR) {
+            continue;
+          }
+          const block = this.registry.getByType(blockType);
+          const state = stateAt(x, y, z);
+          const stateFaces = block.stateFaces[state] || block.stateFaces[0];
+          
+          // The block's shape in this state (see models.js)
+          let shape = block.stateModels[state] || block.stateModels[0];
+          const model = BlockModels[block.model];
+          if (model.dynamic) {
+            const neighbour = (dx, dy, dz) => {
+              const type = blockAt(x + dx, y + dy, z + dz);
+              return { type, block: this.registry.getByType(type) };
+            };
+            shape = model.getShape(BlockRegistry.decodeState(block, state), neighbour);
+          }
+          
+          // Sides of the cell covered by a neighbour that hides them, and those
+          // with a neighbour that may hide some of the faces there
+          let hiddenFaces = 0;
+          let partlyHiddenFaces = 0;
+          for (let face = 0; face < 6; face++) {
+            const [dx, dy, dz] = FACE_DIRECTIONS[face];
+            const neighbor = blockAt(x + dx, y + dy, z + dz);
+            if (neighbor === this.registry.types.AIR) {
+              continue;
+            }
+            if (this.registry.hidesFace(neighbor, stateAt(x + dx, y + dy, z + dz), OPPOSITE_FACES[face], blockType)) {
+              hiddenFaces |= 1 << face;
+            } else {
+              partlyHiddenFaces |= 1 << face;
+            }
+          }
+          
+          const alpha = block.color[3];
+          const mesh = block.translucent ? meshes.translucent : meshes.opaque;
+          
+          const isCube = !model.dynamic && Chunk.isFullCube(shape);
+          for (const box of shape.boxes) {
+            for (let face = 0; face < 6; face++) {
+              // Faces on the cell's boundary can be hidden by the neighbour, all
+              // of the side or the part of it the face is in (a cube's faces
+              // fill their side, so only a whole side hides them); faces inside
+              // are always drawn
+              if (Chunk.isBoxFaceOnBoundary(box, face)) {
+                if (hiddenFaces & (1 << face)) {
+                  continue;
+                }
+                if (!isCube && (partlyHiddenFaces & (1 << face))) {
+                  const [dx, dy, dz] = FACE_DIRECTIONS[face];
+                  const neighbor = blockAt(x + dx, y + dy, z + dz);
+                  const rect = BlockModels.getBoxSideRect(box, face);
+                  if (this.registry.hidesFacePart(neighbor, stateAt(x + dx, y + dy, z + dz), OPPOSITE_FACES[face], blockType, rect)) {
+                    continue;
+                  }
+                }
+              }
+              
+              const ao = ambientOcclusion && isCube ? this.getFaceAO(blockAt, stateAt, x, y, z, face) : null;
+              const [dx, dy, dz] = FACE_DIRECTIONS[face];
+              const light = Chunk.isBoxFaceOnBoundary(box, face) ? lightAt(x + dx, y + dy, z + dz) : lightAt(x, y, z);
+              
+              // Full cube faces with even occlusion are left to the greedy pass
+              if (greedy && isCube && (!ao || (ao[0] === ao[1] && ao[0] === ao[2] && ao[0] === ao[3]))) {
+                const index = x + (y * this.size) + (z * this.size * this.size);
+                const level = ao ? ao[0] : 3;
+                faceKeys[face * this.blocks.length + index] = 1 + (light << 18 | level << 16 | blockType << 8 | state);
+                continue;
+              }
+              
+              const tile = atlas ? atlas.getTileIndex(stateFaces.textures[face]) : 0;
+              this.addBoxFace(mesh, x, y, z, box, face, alpha, tile, stateFaces.rotations[face], light, ao);
+            }
+          }
+          
+          if (shape.cross && hiddenFaces !== 0b111111) {
+            const tile = atlas ? atlas.getTileIndex(stateFaces.textures[1]) : 0;
+            this.addCrossQuads(mesh, x, y, z, alpha, tile, lightAt(x, y, z));
+          }
         }
-        
-        heightMap[x][z] = Math.max(1, Math.min(this.size - 1, height));
       }
     }
     
-    // Set blocks based on the heightmap
-    for (let x = 0; x < this.size; x++) {
-      for (let z = 0; z < this.size; z++) {
-        const height = heightMap[x][z];
-        
-        // Fill below height with different blocks
-        for (let y = 0; y < height; y++) {
-          if (y === height - 1) {
-            // Top layer depends on height
-            if (height < waterLevel + 2) {
-              // Beach/shoreline
-              this.setBlock(x, y, z, this.blockTypes.SAND);
-            } else {
-              // Normal grass
-              this.setBlock(x, y, z, this.blockTypes.GRASS);
-            }
-          } else if (y > height - 4) {
-            // Dirt layer
-            this.setBlock(x, y, z, this.blockTypes.DIRT);
+    if (greedy) {
+      this.addGreedyFaces(meshes, faceKeys, atlas);
+    }
+    
+    return { opaque: Chunk.packMesh(meshes.opaque), translucent: Chunk.packMesh(meshes.translucent), visibility };
+  }
+  
+  // Which of the chunk's sides can be seen from which, through the space that
+  // isn't filled with opaque blocks: flood-fill each connected pocket of that
+  // space and connect every pair of sides the pocket touches. Returns six masks
+  // (faces in FACE_DIRECTIONS order): bit j of entry i is set when side j can
+  // be seen from side i. The world uses this to skip chunks that are walled off
+  // from the camera (see World.getReachableChunks).
+  getVisibility(padded) {
+    const size = this.size;
+    const paddedSize = size + 2;
+    const visibility = new Uint8Array(6);
+    const visited = new Uint8Array(size * size * size);
+    const stack = new Int32Array(visited.length);
+    
+    // Opaque blocks count as already visited, so the fills go around them
+    let open = 0;
+    for (let z = 0; z < size; z++) {
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          const index = (x + 1) + (y + 1) * paddedSize + (z + 1) * paddedSize * paddedSize;
+          if (this.registry.isOpaque(padded.blocks[index], padded.states[index])) {
+            visited[x + y * size + z * size * size] = 1;
           } else {
-            // Stone below
-            this.setBlock(x, y, z, this.blockTypes.STONE);
+            open++;
           }
         }
-        
-        // Add water up to water level
-        if (height < waterLevel) {
-          for (let y = height; y < waterLevel; y++) {
-            this.setBlock(x, y, z, this.blockTypes.WATER);
+      }
+    }
+    
+    // Nothing in the way (the sky), or nothing to see through (deep underground)
+    if (open === visited.length) {
+      return visibility.fill(0b111111);
+    }
+    if (open === 0) {
+      return visibility;
+    }
+    
+    // Per face: the axis it's on, the cell coordinate along it at that side of
+    // the chunk, and the index step to the next cell that way
+    const sideSteps = FACE_DIRECTIONS.map(([dx, dy, dz], face) => ({
+      axis: FACE_AXES[face],
+      edge: dx + dy + dz > 0 ? size - 1 : 0,
+      step: dx + dy * size + dz * size * size
+    }));
+    
+    for (let start = 0; start < visited.length; start++) {
+      if (visited[start]) {
+        continue;
+      }
+      
+      let sides = 0;
+      let top = 0;
+      stack[top++] = start;
+      visited[start] = 1;
+      while (top > 0) {
+        const cell = stack[--top];
+        // Note the sides of the chunk the cell lies on, and carry on into its neighbours
+        const coords = [cell % size, Math.floor(cell / size) % size, Math.floor(cell / (size * size))];
+        for (let face = 0; face < 6; face++) {
+          const { axis, edge, step } = sideSteps[face];
+          if (coords[axis] === edge) {
+            sides |= 1 << face;
+          } else if (!visited[cell + step]) {
+            visited[cell + step] = 1;
+            stack[top++] = cell + step;
           }
         }
       }
+      
+      for (let face = 0; face < 6; face++) {
+        if (sides & (1 << face)) {
+          visibility[face] |= sides;
+        }
+      }
     }
-    
-    // Add caves using 3D noise
-    this.generateCaves(chunkWorldX, chunkWorldZ, seed);
+    return visibility;
   }
   
-  // Generate cave systems with 3D noise
-  generateCaves(chunkWorldX, chunkWorldZ, seed) {
-    // Sample resolution (for performance)
-    const resolution = 4;
-    
-    for (let x = 0; x < this.size; x += resolution) {
-      for (let y = 0; y < this.size; y += resolution) {
-        for (let z = 0; z < this.size; z += resolution) {
-          // Skip near the top of the terrain
-          if (y > this.size * 0.7) continue;
-          
-          // Calculate world coordinates
-          const worldX = chunkWorldX * this.size + x;
-          const worldY = y;
-          const worldZ = chunkWorldZ * this.size + z;
-          
-          // Generate 3D noise
-          const caveNoise = this.noise(worldX * 0.08, worldY * 0.08, worldZ * 0.08, seed + 500);
-          
-          // If noise value is above threshold, create a cave
-          if (caveNoise > 0.7) {
-            // Create a cave area
-            const caveSize = Math.floor(resolution * 0.8);
-            
-            for (let cx = 0; cx < resolution; cx++) {
-              for (let cy = 0; cy < resolution; cy++) {
-                for (let cz = 0; cz < resolution; cz++) {
-                  const bx = x + cx;
-                  const by = y + cy;
-                  const bz = z + cz;
-                  
-                  // Make sure we're within bounds
-                  if (bx < 0 || by < 0 || bz < 0 || bx >= this.size || by >= this.size || bz >= this.size) {
-                    continue;
-                  }
-                  
-                  // Don't create caves in water or air
-                  const currentBlock = this.getBlock(bx, by, bz);
-                  if (currentBlock === this.blockTypes.AIR || currentBlock === this.blockTypes.WATER) {
-                    continue;
-                  }
-                  
-                  this.setBlock(bx, by, bz, this.blockTypes.AIR);
+  // Build a reduced-detail mesh for a distant chunk: each cell of 2^lod blocks
+  // a side takes the block most of it is made of (air if less than half of it
+  // is cubes or liquid, so plants, torches and the like vanish), and the cells
+  // are meshed as blocks that much bigger. Neighbouring chunks may be at another
+  // level, so they aren't looked at: solid cells keep their faces on the
+  // chunk's sides, and these walls hide the cracks between surfaces that were
+  // simplified differently. A full-detail neighbour doesn't cull against this
+  // chunk either (see World.getChunkNeighbours), so where a cell was simplified
+  // to air the neighbour's own faces close the gap. Liquid continues past the sides instead, so lakes
+  // don't get a wall at every chunk border. Distant chunks are lit as if in
+  // full daylight.
+  buildLodMesh(atlas, lod, padded, options) {
+    const scale = 1 << lod;
+    const size = this.size / scale;
+    const paddedSize = this.size + 2;
+    const cells = new Chunk(size, this.registry);
+    
+    const votes = new Map();
+    for (let cx = 0; cx < size; cx++) {
+      for (let cy = 0; cy < size; cy++) {
+        for (let cz = 0; cz < size; cz++) {
+          votes.clear();
+          let voters = 0;
+          for (let x = cx * scale; x < (cx + 1) * scale; x++) {
+            for (let y = cy * scale; y < (cy + 1) * scale; y++) {
+              for (let z = cz * scale; z < (cz + 1) * scale; z++) {
+                const index = (x + 1) + (y + 1) * paddedSize + (z + 1) * paddedSize * paddedSize;
+                const blockType = padded.blocks[index];
+                const block = this.registry.getByType(blockType);
+                if (block.model !== 'cube' && !block.liquid) {
+                  continue;
+                }
+                
+                // Remember the first state seen, for rotated blocks (logs)
+                const vote = votes.get(blockType);
+                if (vote) {
+                  vote.count++;
+                } else {
+                  votes.set(blockType, { count: 1, state: block.liquid ? 0 : padded.states[index] });
                 }
+                voters++;
               }
             }
           }
+          
+          if (voters * 2 < scale * scale * scale) {
+            continue;
+          }
+          let winner = null;
+          for (const [blockType, vote] of votes) {
+            if (!winner || vote.count > winner.count) {
+              winner = { blockType, count: vote.count, state: vote.state };
+            }
+          }
+          cells.setBlock(cx, cy, cz, winner.blockType, winner.state);
         }
       }
     }
+    
+    // Surround the cells with air, except for liquid, which is repeated
+    // outwards on the four sides
+    const cellsPaddedSize = size + 2;
+    const cellsPadded = {
+      blocks: new Uint8Array(cellsPaddedSize * cellsPaddedSize * cellsPaddedSize),
+      states: new Uint8Array(cellsPaddedSize * cellsPaddedSize * cellsPaddedSize)
+    };
+    for (let x = -1; x <= size; x++) {
+      for (let y = 0; y < size; y++) {
+        for (let z = -1; z <= size; z++) {
+          const edgeX = Math.max(0, Math.min(size - 1, x));
+          const edgeZ = Math.max(0, Math.min(size - 1, z));
+          const blockType = cells.getBlock(edgeX, y, edgeZ);
+          const isInside = edgeX === x && edgeZ === z;
+          if (isInside || this.registry.getByType(blockType).liquid) {
+            const index = (x + 1) + (y + 1) * cellsPaddedSize + (z + 1) * cellsPaddedSize * cellsPaddedSize;
+            cellsPadded.blocks[index] = blockType;
+            cellsPadded.states[index] = cells.getState(edgeX, y, edgeZ);
+          }
+        }
+      }
+    }
+    
+    const mesh = cells.buildMesh(atlas, Object.assign({}, options, { padded: cellsPadded }));
+    Chunk.scaleMesh(mesh.opaque, scale);
+    Chunk.scaleMesh(mesh.translucent, scale);
+    return mesh;
   }
   
-  // Build mesh (only visible faces) - no changes needed from original
-  buildMesh() {
-    const positions = [];
-    const colors = [];
-    const indices = [];
-    let vertexCount = 0;
-    
-    // Faces: top, front, right, back, left, bottom
-    // Each face direction as [x, y, z]
-    const faceDirections = [
-      [0, 1, 0],   // top
-      [0, 0, 1],   // front
-      [1, 0, 0],   // right
-      [0, 0, -1],  // back
-      [-1, 0, 0],  // left
-      [0, -1, 0]   // bottom
-    ];
+  // Scale a packed mesh's positions, and its texture positions with them (so
+  // the texture still repeats once per block)
+  static scaleMesh(mesh, scale) {
+    const shorts = new Uint16Array(mesh.vertices.buffer, mesh.vertices.byteOffset, mesh.vertexCount * VERTEX_SIZE / 2);
+    const signedShorts = new Int16Array(mesh.vertices.buffer, mesh.vertices.byteOffset, mesh.vertexCount * VERTEX_SIZE / 2);
+    for (let v = 0; v < mesh.vertexCount; v++) {
+      const short = v * VERTEX_SIZE / 2;
+      shorts[short] *= scale;
+      shorts[short + 1] *= scale;
+      shorts[short + 2] *= scale;
+      signedShorts[short + 4] *= scale;
+      signedShorts[short + 5] *= scale;
+    }
+  }
+  
+  // Pack a mesh's vertices (built up as VERTEX_FIELDS numbers each by addQuad)
+  // into the vertex layout, and its indices into the smallest array that holds them
+  static packMesh(mesh) {
+    const vertexCount = mesh.vertices.length / VERTEX_FIELDS;
+    const buffer = new ArrayBuffer(vertexCount * VERTEX_SIZE);
+    const shorts = new Uint16Array(buffer);
+    const signedShorts = new Int16Array(buffer);
+    const bytes = new Uint8Array(buffer);
     
-    // Loop through every block in the chunk
-    for (let x = 0; x < this.size; x++) {
-      for (let y = 0; y < this.size; y++) {
-        for (let z = 0; z < this.size; z++) {
-          const blockType = this.getBlock(x, y, z);
-          
-          // Skip air blocks
-          if (blockType === this.blockTypes.AIR) {
+    for (let v = 0; v < vertexCount; v++) {
+      const field = v * VERTEX_FIELDS;
+      const short = v * VERTEX_SIZE / 2;
+      const byte = v * VERTEX_SIZE;
+      shorts[short] = Math.round(mesh.vertices[field] * VERTEX_POSITION_SCALE);
+      shorts[short + 1] = Math.round(mesh.vertices[field + 1] * VERTEX_POSITION_SCALE);
+      shorts[short + 2] = Math.round(mesh.vertices[field + 2] * VERTEX_POSITION_SCALE);
+      shorts[short + 3] = mesh.vertices[field + 3];
+      signedShorts[short + 4] = Math.round(mesh.vertices[field + 4] * VERTEX_POSITION_SCALE);
+      signedShorts[short + 5] = Math.round(mesh.vertices[field + 5] * VERTEX_POSITION_SCALE);
+      bytes[byte + 12] = mesh.vertices[field + 6] | mesh.vertices[field + 7] << 3;
+      bytes[byte + 13] = mesh.vertices[field + 8];
+      bytes[byte + 14] = Math.round(mesh.vertices[field + 9] * 255);
+    }
+    
+    const IndexArray = vertexCount > MAX_SHORT_INDEXED_VERTICES ? Uint32Array : Uint16Array;
+    return { vertices: bytes, indices: new IndexArray(mesh.indices), vertexCount };
+  }
+  
+  // Split a packed mesh with 32-bit indices into meshes small enough for 16-bit
+  // ones, for GPUs without OES_element_index_uint. Every quad's four vertices
+  // are consecutive and in the same order as its indices, so the cuts fall
+  // between quads and each piece's indices just move down by its first vertex.
+  static splitMesh(mesh) {
+    if (mesh.vertexCount <= MAX_SHORT_INDEXED_VERTICES) {
+      return [mesh];
+    }
+    
+    const pieces = [];
+    for (let firstVertex = 0; firstVertex < mesh.vertexCount; firstVertex += MAX_SHORT_INDEXED_VERTICES) {
+      const vertexCount = Math.min(MAX_SHORT_INDEXED_VERTICES, mesh.vertexCount - firstVertex);
+      const firstIndex = firstVertex / 4 * 6;
+      const indices = new Uint16Array(vertexCount / 4 * 6);
+      for (let i = 0; i < indices.length; i++) {
+        indices[i] = mesh.indices[firstIndex + i] - firstVertex;
+      }
+      pieces.push({
+        vertices: mesh.vertices.subarray(firstVertex * VERTEX_SIZE, (firstVertex + vertexCount) * VERTEX_SIZE),
+        indices,
+        vertexCount
+      });
+    }
+    return pieces;
+  }
+  
+  // Copy the blocks, states and light into arrays one block larger on every
+  // side, filling the border from the neighbouring chunks (air in full
+  // daylight where there are none)
+  getPaddedBlocks(neighbours) {
+    const size = this.size;
+    const paddedSize = size + 2;
+    const blocks = new Uint8Array(paddedSize * paddedSize * paddedSize);
+    const states = new Uint8Array(blocks.length);
+    const light = new Uint8Array(blocks.length).fill(FULL_LIGHT);
+    
+    // The 27 chunks around and including this one, by offset
+    const chunks = [];
+    for (let dz = -1; dz <= 1; dz++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const isSelf = dx === 0 && dy === 0 && dz === 0;
+          chunks.push(isSelf ? this : (neighbours && neighbours(dx, dy, dz)) || null);
+        }
+      }
+    }
+    
+    // Which chunk a padded coordinate falls in (0, 1, 2 for offset -1, 0, 1) and where
+    const offsetOf = p => (p === 0 ? 0 : p === paddedSize - 1 ? 2 : 1);
+    const localOf = p => (p === 0 ? size - 1 : p === paddedSize - 1 ? 0 : p - 1);
+    
+    for (let pz = 0; pz < paddedSize; pz++) {
+      for (let py = 0; py < paddedSize; py++) {
+        for (let px = 0; px < paddedSize; px++) {
+          const chunk = chunks[offsetOf(px) + offsetOf(py) * 3 + offsetOf(pz) * 9];
+          if (!chunk) {
             continue;
           }
-          
-          // Check each face of the block
-          for (let face = 0; face < 6; face++) {
-            const dir = faceDirections[face];
-            const nx = x + dir[0];
-            const ny = y + dir[1];
-            const nz = z + dir[2];
+          const from = localOf(px) + localOf(py) * size + localOf(pz) * size * size;
+          const to = px + py * paddedSize + pz * paddedSize * paddedSize;
+          blocks[to] = chunk.blocks[from];
+          states[to] = chunk.states[from];
+          light[to] = chunk.light[from];
+        }
+      }
+    }
+    
+    return { blocks, states, light };
+  }
+  
+  // Ambient occlusion level (0-3) of each corner of a full-cube face, in
+  // FACE_CORNERS order, from the three blocks in front of the face that touch the
+  // corner: two along its edges and the one diagonally across. Two edge blocks
+  // close the corner off completely, whatever the diagonal is.
+  getFaceAO(blockAt, stateAt, x, y, z, face) {
+    const d = FACE_AXES[face];
+    const [nx, ny, nz] = FACE_DIRECTIONS[face];
+    const occludes = (offset) => {
+      const bx = x + nx + offset[0];
+      const by = y + ny + offset[1];
+      const bz = z + nz + offset[2];
+      return this.registry.isOccluder(blockAt(bx, by, bz), stateAt(bx, by, bz)) ? 1 : 0;
+    };
+    
+    return FACE_CORNERS[face].map(corner => {
+      // Step towards the corner along each axis of the face's plane
+      const sideA = [0, 0, 0];
+      const sideB = [0, 0, 0];
+      const a = (d + 1) % 3;
+      const b = (d + 2) % 3;
+      sideA[a] = corner[a] * 2 - 1;
+      sideB[b] = corner[b] * 2 - 1;
+      const diagonal = [sideA[0] + sideB[0], sideA[1] + sideB[1], sideA[2] + sideB[2]];
+      
+      const side1 = occludes(sideA);
+      const side2 = occludes(sideB);
+      if (side1 && side2) {
+        return 0;
+      }
+      return 3 - (side1 + side2 + occludes(diagonal));
+    });
+  }
+  
+  // Greedy meshing: in each layer of each face direction, grow rectangles of
+  // identical faces (same block, state, occlusion and light, so same texture,
+  // rotation and colour), first along one axis and then row by row along the other, and
+  // emit each rectangle as a single quad. Light is part of the faces' keys too,
+  // so differently lit faces don't merge.
+  addGreedyFaces(meshes, faceKeys, atlas) {
+    const size = this.size;
+    const volume = this.blocks.length;
+    const strides = [1, size, size * size];
+    const layer = new Int32Array(size * size);
+    
+    for (let face = 0; face < 6; face++) {
+      // The axis the face points along, and the two axes of its plane
+      const d = FACE_AXES[face];
+      const a = (d + 1) % 3;
+      const b = (d + 2) % 3;
+      
+      for (let slice = 0; slice < size; slice++) {
+        // Copy the layer out so merged faces can be cleared as we go
+        for (let j = 0; j < size; j++) {
+          for (let i = 0; i < size; i++) {
+            layer[i + j * size] = faceKeys[face * volume + slice * strides[d] + i * strides[a] + j * strides[b]];
+          }
+        }
+        
+        for (let j = 0; j < size; j++) {
+          for (let i = 0; i < size; ) {
+            const key = layer[i + j * size];
+            if (key === 0) {
+              i++;
+              continue;
+            }
             
-            // If adjacent block is air or transparent, add this face
-            const neighbor = this.getBlock(nx, ny, nz);
-            if (neighbor === this.blockTypes.AIR || (neighbor === this.blockTypes.WATER && blockType !== this.blockTypes.WATER)) {
-              // Add face vertices
-              // Get base color for this block type and apply face shading
-              const baseColor = this.blockColors[blockType];
-              const shade = this.faceShading[face];
-              
-              // Apply the vertex positions and colors for this face
-              this.addBlockFace(positions, colors, indices, x, y, z, face, baseColor, shade, vertexCount);
-              vertexCount += 4; // 4 vertices per face
+            // Widen along a, then add rows along b while the whole row matches
+            let width = 1;
+            while (i + width < size && layer[i + width + j * size] === key) {
+              width++;
+            }
+            let height = 1;
+            grow: while (j + height < size) {
+              for (let k = 0; k < width; k++) {
+                if (layer[i + k + (j + height) * size] !== key) {
+                  break grow;
+                }
+              }
+              height++;
             }
+            for (let n = 0; n < height; n++) {
+              layer.fill(0, i + (j + n) * size, i + width + (j + n) * size);
+            }
+            
+            // The rectangle as a box reaching from its first cell
+            const origin = [0, 0, 0];
+            const extent = [1, 1, 1];
+            origin[d] = slice;
+            origin[a] = i;
+            origin[b] = j;
+            extent[a] = width;
+            extent[b] = height;
+            
+            const light = (key - 1) >> 18;
+            const level = ((key - 1) >> 16) & 3;
+            const blockType = ((key - 1) >> 8) & 0xff;
+            const state = (key - 1) & 0xff;
+            const block = this.registry.getByType(blockType);
+            const stateFaces = block.stateFaces[state] || block.stateFaces[0];
+            const tile = atlas ? atlas.getTileIndex(stateFaces.textures[face]) : 0;
+            const mesh = block.translucent ? meshes.translucent : meshes.opaque;
+            this.addBoxFace(mesh, origin[0], origin[1], origin[2], [0, 0, 0, extent[0], extent[1], extent[2]],
+              face, block.color[3], tile, stateFaces.rotations[face], light, [level, level, level, level]);
+            
+            i += width;
           }
         }
       }
     }
+  }
+  
+  // Order a mesh's quads back to front as seen from a point (in chunk
+  // coordinates), for blending, and return the reordered indices
+  static sortQuads(mesh, viewPoint) {
+    const quadCount = mesh.indices.length / 6;
     
-    return {
-      positions: new Float32Array(positions),
-      colors: new Float32Array(colors),
-      indices: new Uint16Array(indices)
-    };
+    // Quad centres, worked out once per mesh: a quad's four vertices follow
+    // each other, starting at four times its number
+    if (!mesh.quadCenters) {
+      const shorts = new Uint16Array(mesh.vertices.buffer, mesh.vertices.byteOffset, mesh.vertexCount * VERTEX_SIZE / 2);
+      const scale = 4 * VERTEX_POSITION_SCALE;
+      mesh.quadCenters = new Float32Array(quadCount * 3);
+      for (let q = 0; q < quadCount; q++) {
+        for (let i = 0; i < 4; i++) {
+          const short = (q * 4 + i) * VERTEX_SIZE / 2;
+          mesh.quadCenters[q * 3] += shorts[short] / scale;
+          mesh.quadCenters[q * 3 + 1] += shorts[short + 1] / scale;
+          mesh.quadCenters[q * 3 + 2] += shorts[short + 2] / scale;
+        }
+      }
+    }
+    
+    const distances = new Float32Array(quadCount);
+    const order = new Uint32Array(quadCount);
+    for (let q = 0; q < quadCount; q++) {
+      const dx = mesh.quadCenters[q * 3] - viewPoint[0];
+      const dy = mesh.quadCenters[q * 3 + 1] - viewPoint[1];
+      const dz = mesh.quadCenters[q * 3 + 2] - viewPoint[2];
+      distances[q] = dx * dx + dy * dy + dz * dz;
+      order[q] = q;
+    }
+    order.sort((a, b) => distances[b] - distances[a]);
+    
+    const indices = new mesh.indices.constructor(mesh.indices.length);
+    for (let n = 0; n < quadCount; n++) {
+      indices.set(mesh.indices.subarray(order[n] * 6, order[n] * 6 + 6), n * 6);
+    }
+    return indices;
   }
   
-  // Add a single block face to the mesh data
-  addBlockFace(positions, colors, indices, x, y, z, face, baseColor, shade, vertexOffset) {
-    // Block positions are local to the chunk, no need to offset by chunk size/2 anymore
-    const worldX = x;
-    const worldY = y;
-    const worldZ = z;
+  // Whether a shape fills its whole cell (a plain cube, as far as meshing goes)
+  static isFullCube(shape) {
+    return !shape.cross && shape.boxes.length === 1 && shape.fullFaces === 0b111111;
+  }
+  
+  // Whether a face of a box (in block space) lies on the side of the cell
+  static isBoxFaceOnBoundary(box, face) {
+    switch (face) {
+      case 0: return box[4] >= 1;  // top
+      case 1: return box[5] >= 1;  // front
+      case 2: return box[3] >= 1;  // right
+      case 3: return box[2] <= 0;  // back
+      case 4: return box[0] <= 0;  // left
+      default: return box[1] <= 0; // bottom
+    }
+  }
+  
+  // Add one face of a box to the mesh. The face shows the part of the texture
+  // that lines up with the box, so a slab's side is the lower half of the
+  // block's side texture, and a box longer than a block (a greedy rectangle)
+  // repeats the texture once per block. uvRotation turns the texture in quarter
+  // turns; light is the face's packed light level; ao is the corners' ambient
+  // occlusion levels, or null for none.
+  addBoxFace(mesh, x, y, z, box, face, alpha, tile, uvRotation, light, ao = null) {
+    const [x0, y0, z0, x1, y1, z1] = box;
     
-    // Vertex positions for each face
-    // Each face has 4 vertices in counter-clockwise order
-    let faceVertices;
+    // Corners in counter-clockwise order (the first two are the bottom edge for
+    // side faces), and the span of the face along its horizontal (s) and
+    // vertical (t) texture directions, in block space
+    let corners, s0, s1, t0, t1;
     
     switch (face) {
       case 0: // top face
-        faceVertices = [
-          [worldX, worldY + 1, worldZ],
-          [worldX + 1, worldY + 1, worldZ],
-          [worldX + 1, worldY + 1, worldZ + 1],
-          [worldX, worldY + 1, worldZ + 1]
-        ];
+        corners = [[x0, y1, z0], [x1, y1, z0], [x1, y1, z1], [x0, y1, z1]];
+        [s0, s1, t0, t1] = [x0, x1, z0, z1];
         break;
         
       case 1: // front face
-        faceVertices = [
-          [worldX, worldY, worldZ + 1],
-          [worldX + 1, worldY, worldZ + 1],
-          [worldX + 1, worldY + 1, worldZ + 1],
-          [worldX, worldY + 1, worldZ + 1]
-        ];
+        corners = [[x0, y0, z1], [x1, y0, z1], [x1, y1, z1], [x0, y1, z1]];
+        [s0, s1, t0, t1] = [x0, x1, y0, y1];
         break;
         
       case 2: // right face
-        faceVertices = [
-          [worldX + 1, worldY, worldZ],
-          [worldX + 1, worldY, worldZ + 1],
-          [worldX + 1, worldY + 1, worldZ + 1],
-          [worldX + 1, worldY + 1, worldZ]
-        ];
+        corners = [[x1, y0, z0], [x1, y0, z1], [x1, y1, z1], [x1, y1, z0]];
+        [s0, s1, t0, t1] = [z0, z1, y0, y1];
         break;
         
       case 3: // back face
-        faceVertices = [
-          [worldX + 1, worldY, worldZ],
-          [worldX, worldY, worldZ],
-          [worldX, worldY + 1, worldZ],
-          [worldX + 1, worldY + 1, worldZ]
-        ];
+        corners = [[x1, y0, z0], [x0, y0, z0], [x0, y1, z0], [x1, y1, z0]];
+        [s0, s1, t0, t1] = [1 - x1, 1 - x0, y0, y1];
         break;
         
       case 4: // left face
-        faceVertices = [
-          [worldX, worldY, worldZ],
-          [worldX, worldY, worldZ + 1],
-          [worldX, worldY + 1, worldZ + 1],
-          [worldX, worldY + 1, worldZ]
-        ];
+        corners = [[x0, y0, z0], [x0, y0, z1], [x0, y1, z1], [x0, y1, z0]];
+        [s0, s1, t0, t1] = [z0, z1, y0, y1];
         break;
         
       case 5: // bottom face
-        faceVertices = [
-          [worldX, worldY, worldZ],
-          [worldX + 1, worldY, worldZ],
-          [worldX + 1, worldY, worldZ + 1],
-          [worldX, worldY, worldZ + 1]
-        ];
+        corners = [[x0, y0, z0], [x1, y0, z0], [x1, y0, z1], [x0, y0, z1]];
+        [s0, s1, t0, t1] = [x0, x1, z0, z1];
         break;
     }
     
-    // Add the vertices to the position array
+    // Texture position of each corner in tiles, turned a quarter at a time
+    // ((s, t) -> (1 - t, s) moves each corner's texel to the next corner)
+    const tiles = [[s0, t0], [s1, t0], [s1, t1], [s0, t1]].map(([s, t]) => {
+      for (let i = 0; i < uvRotation; i++) {
+        [s, t] = [1 - t, s];
+      }
+      // v runs down the texture, so t flips
+      return [s, 1 - t];
+    });
+    
+    this.addQuad(mesh, x, y, z, corners, face, alpha, tile, tiles, light, ao);
+  }
+  
+  // Add two quads crossing diagonally through the cell (plants)
+  addCrossQuads(mesh, x, y, z, alpha, tile, light) {
+    const tiles = [[0, 1], [1, 1], [1, 0], [0, 0]];
+    
+    // Slightly inset so the plant stays inside its own cell, and shaded like a side face
+    const a = 0.15;
+    const b = 0.85;
+    this.addQuad(mesh, x, y, z, [[a, 0, a], [b, 0, b], [b, 1, b], [a, 1, a]], 1, alpha, tile, tiles, light);
+    this.addQuad(mesh, x, y, z, [[a, 0, b], [b, 0, a], [b, 1, a], [a, 1, b]], 1, alpha, tile, tiles, light);
+  }
+  
+  // Add a quad (four corners in block space, offset to block x, y, z) to the mesh data.
+  // The face (0-5) picks its shading. Texture coordinates are the atlas tile and
+  // each vertex's position on the tile in tiles; the shader wraps the latter so
+  // the tile repeats. Light is packed sky << 4 | block.
+  addQuad(mesh, x, y, z, corners, face, alpha, tile, tiles, light, ao = null) {
+    const vertexOffset = mesh.vertices.length / VERTEX_FIELDS;
+    
     for (let i = 0; i < 4; i++) {
-      positions.push(faceVertices[i][0], faceVertices[i][1], faceVertices[i][2]);
-      
-      // Apply shading to the color based on which face
-      colors.push(
-        baseColor[0] * shade,
-        baseColor[1] * shade,
-        baseColor[2] * shade,
-        baseColor[3]
+      mesh.vertices.push(
+        x + corners[i][0], y + corners[i][1], z + corners[i][2],
+        tile, tiles[i][0], tiles[i][1],
+        face, ao ? ao[i] : 3, light, alpha
       );
     }
     
-    // Add the face indices (two triangles make a face)
-    indices.push(
-      vertexOffset, vertexOffset + 1, vertexOffset + 2,
-      vertexOffset, vertexOffset + 2, vertexOffset + 3
-    );
+    // Add the face indices (two triangles make a face). The colour is blended
+    // across each triangle, so split the quad along the diagonal whose corners
+    // are brighter together; the other way a single dark corner would bleed
+    // along the whole diagonal and the shading would depend on the quad's orientation.
+    if (ao && ao[0] + ao[2] < ao[1] + ao[3]) {
+      mesh.indices.push(
+        vertexOffset + 1, vertexOffset + 2, vertexOffset + 3,
+        vertexOffset + 1, vertexOffset + 3, vertexOffset
+      );
+    } else {
+      mesh.indices.push(
+        vertexOffset, vertexOffset + 1, vertexOffset + 2,
+        vertexOffset, vertexOffset + 2, vertexOffset + 3
+      );
+    }
   }
 }
\ No newline at end of file
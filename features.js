@@ -0,0 +1,59 @@
+// features.js - Decoration features (trees, vegetation) placed after terrain generation
+//
+// Each feature is called with the surface position (x, y is the first air block
+// above the ground, z) and a seeded random function. Blocks are written through
+// place(x, y, z, blockName, replace); by default a block only goes into air, and
+// replace = true lets it overwrite whatever is there.
+
+const Features = {
+  tree: function(place, x, y, z, random) {
+    // Tree trunk
+    const trunkHeight = 4 + Math.floor(random() * 3);
+    for (let treeY = 0; treeY < trunkHeight; treeY++) {
+      place(x, y + treeY, z, 'WOOD', true);
+    }
+
+    // Tree leaves
+    const leafStart = y + trunkHeight - 2;
+    const leafSize = 2;
+
+    for (let lx = -leafSize; lx <= leafSize; lx++) {
+      for (let ly = 0; ly <= leafSize + 1; ly++) {
+        for (let lz = -leafSize; lz <= leafSize; lz++) {
+          // Make round-ish leaf clusters
+          const distance = Math.sqrt(lx * lx + ly * ly + lz * lz);
+          if (distance <= leafSize + 0.5) {
+            place(x + lx, leafStart + ly, z + lz, 'LEAVES');
+          }
+        }
+      }
+    }
+  },
+
+  bush: function(place, x, y, z, random) {
+    // Low mound of leaves, one or two blocks tall
+    const radius = 1;
+    const height = 1 + Math.floor(random() * 2);
+
+    for (let bx = -radius; bx <= radius; bx++) {
+      for (let by = 0; by < height; by++) {
+        for (let bz = -radius; bz <= radius; bz++) {
+          // Trim the corners so it isn't a cube
+          if (Math.abs(bx) + Math.abs(bz) + by > radius + 1) continue;
+          place(x + bx, y + by, z + bz, 'LEAVES');
+        }
+      }
+    }
+  },
+
+  flower: function(place, x, y, z, random) {
+    place(x, y, z, 'FLOWER');
+  },
+
+  cactus: function(place, x, y, z, random) {
+    const height = 1 + Math.floor(random() * 3);
+    for (let cy = 0; cy < height; cy++) {
+      place(x, y + cy, z, 'CACTUS');
+    }
+  }
+};
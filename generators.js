@@ -0,0 +1,612 @@
+// generators.js - World generators: turn chunk coordinates into blocks
+//
+// A generator fills freshly created chunk sections and answers questions about
+// the terrain it would produce, so World can place decorations without having
+// generated every chunk. World takes a generator instance, one of the names in
+// WorldGenerators, or a superflat preset string (see FlatGenerator.fromPreset).
+
+class WorldGenerator {
+  constructor(seed, options = {}) {
+    const { minHeight = -64, maxHeight = 320, waterLevel = 62 } = options;
+
+    this.seed = seed;
+    this.minHeight = minHeight;
+    this.maxHeight = maxHeight;
+    this.waterLevel = waterLevel;
+
+    // Whether World runs its decoration pass (structures, trees, plants) on this terrain
+    this.decorate = false;
+  }
+
+  // Fill a freshly created (all air) chunk section with blocks
+  generateChunk(chunk, chunkX, chunkY, chunkZ) {
+  }
+
+  // Get the terrain height (first air block above the ground), water level and
+  // biome of a world column
+  getColumn(x, z) {
+    return { height: this.minHeight, water: this.minHeight, biome: this.getBiome(x, z) };
+  }
+
+  // Get the biome at a world column
+  getBiome(x, z) {
+    return Biomes.get('plains');
+  }
+}
+
+// Neighbours (as [dx, dz]) that erosion moves ground between
+const EROSION_NEIGHBOURS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+// Noise terrain with blended biomes, ores and caves
+class DefaultGenerator extends WorldGenerator {
+  constructor(seed, options = {}) {
+    super(seed, options);
+
+    const { ores = OreDistribution, amplification = 1, rivers = true, erosion = 0.5 } = options;
+
+    // Height noise plus the climate-driven biome map
+    this.heightNoise = new Noise(seed);
+    this.biomeMap = new BiomeMap(seed);
+
+    // Rivers drain the land downhill into the sea (see RiverNetwork). Around
+    // each river's channel (whose width the network picks) its banks reach
+    // bankMargin blocks further, and the valley the land is pulled down into
+    // valleyMargin blocks.
+    this.rivers = rivers;
+    this.riverNetwork = new RiverNetwork(seed, this, { waterLevel: this.waterLevel });
+    this.bankMargin = 3;
+    this.valleyMargin = 20;
+    this.riverDepth = 3;
+
+    // Thermal erosion (see erodeHeights): strength in [0, 1] (0 turns it off),
+    // how many passes it makes over the heightmap, and the steepest step in
+    // blocks between neighbouring columns that ground holds without slipping
+    this.erosion = erosion;
+    this.erosionPasses = 4;
+    this.talus = 1.5;
+
+    // Columns of recently generated chunk columns, oldest evicted first
+    // (getColumn uses chunk columns of columnCacheChunkSize)
+    this.columnCache = new Map();
+    this.columnCacheLimit = 256;
+    this.columnCacheChunkSize = 16;
+
+    // Ore veins placed underground (biomes can override individual entries)
+    this.ores = ores;
+
+    // Cave paths are shared by all chunks, so one carver caches them for the whole world
+    this.caveCarver = new CaveCarver(seed, { minHeight: this.minHeight, waterLevel: this.waterLevel });
+
+    // Multiplier for heights above the water level (the "amplified" preset)
+    this.amplification = amplification;
+
+    this.decorate = true;
+  }
+
+  // Raw terrain height above the water level at a world column, from the height
+  // noise and the blended biome curves (weights can be passed in if already known)
+  getTerrainHeight(x, z, weights = this.biomeMap.getWeights(x, z), octaves = 4) {
+    // Generate height using noise, mapped to [0, 1]
+    const noise = this.heightNoise.fbm2D(x * 0.02, z * 0.02, octaves) * 0.5 + 0.5;
+
+    let height = 0;
+    for (const { biome, weight } of weights) {
+      height += BiomeRegistry.sampleHeight(biome, noise) * weight;
+    }
+
+    if (height > 0) {
+      height *= this.amplification;
+    }
+
+    return height;
+  }
+
+  // Columns come from the cache of the chunk column they're in. The same
+  // object is handed out every time, so don't change it.
+  getColumn(x, z) {
+    const size = this.columnCacheChunkSize;
+    const chunkX = Math.floor(x / size);
+    const chunkZ = Math.floor(z / size);
+    return this.getChunkColumns(chunkX, chunkZ, size)[(x - chunkX * size) + (z - chunkZ * size) * size];
+  }
+
+  // Work a column out from its terrain height above the water level (see
+  // getChunkHeights), the biomes and rivers (uncached)
+  generateColumn(x, z, height) {
+    // Blend each contributing biome's water level by its weight
+    const weights = this.biomeMap.getWeights(x, z);
+    const biome = BiomeMap.dominant(weights);
+    let water = 0;
+    for (const entry of weights) {
+      water += entry.biome.waterLevel * entry.weight;
+    }
+
+    const column = {
+      height: Math.floor(this.waterLevel + height),
+      water: Math.round(this.waterLevel + water),
+      biome,
+      river: false
+    };
+
+    if (this.rivers) {
+      this.carveRiver(x, z, column);
+    }
+
+    column.height = Math.min(this.maxHeight - 1, column.height);
+    return column;
+  }
+
+  // Terrain heights above the water level of a chunk column's columns (index
+  // x + z * size), eroded. Erosion moves ground between neighbouring columns,
+  // so each pass reaches two columns further: what a column loses depends on
+  // its neighbours, and what it gains on theirs. Eroding a border of twice the
+  // passes around the chunk column gives the heights the whole world's
+  // heightmap would have there, so neighbouring chunk columns meet seamlessly.
+  getChunkHeights(chunkX, chunkZ, size) {
+    const margin = this.erosion > 0 ? 2 * this.erosionPasses : 0;
+    const span = size + 2 * margin;
+    let heights = new Float64Array(span * span);
+    for (let z = 0; z < span; z++) {
+      for (let x = 0; x < span; x++) {
+        heights[x + z * span] = this.getTerrainHeight(chunkX * size + x - margin, chunkZ * size + z - margin);
+      }
+    }
+
+    for (let pass = 0; pass < this.erosionPasses && margin > 0; pass++) {
+      heights = this.erodeHeights(heights, span);
+    }
+
+    const inner = new Float64Array(size * size);
+    for (let z = 0; z < size; z++) {
+      for (let x = 0; x < size; x++) {
+        inner[x + z * size] = heights[(x + margin) + (z + margin) * span];
+      }
+    }
+    return inner;
+  }
+
+  // One pass of thermal erosion over a span x span heightmap: wherever the
+  // ground drops more than the talus to a neighbour (of four) it crumbles, and
+  // the loose ground slides down to the neighbours it's too steep to, more to
+  // the steeper ones. Cliffs wear back into slopes and the hollows below them
+  // fill in; no ground is lost. Columns on the edge of the map, with
+  // neighbours missing, come out wrong, which is what the border is for.
+  erodeHeights(heights, span) {
+    const eroded = Float64Array.from(heights);
+    const excesses = [0, 0, 0, 0];
+
+    for (let z = 0; z < span; z++) {
+      for (let x = 0; x < span; x++) {
+        const index = x + z * span;
+
+        // How far the ground drops past the talus to each neighbour
+        let steepest = 0;
+        let total = 0;
+        EROSION_NEIGHBOURS.forEach(([dx, dz], i) => {
+          const nx = x + dx;
+          const nz = z + dz;
+          const onMap = nx >= 0 && nx < span && nz >= 0 && nz < span;
+          excesses[i] = onMap ? Math.max(0, heights[index] - heights[nx + nz * span] - this.talus) : 0;
+          steepest = Math.max(steepest, excesses[i]);
+          total += excesses[i];
+        });
+        if (total === 0) {
+          continue;
+        }
+
+        // Half the steepest excess at full strength, which levels a lone step
+        // down to the talus rather than overshooting it
+        const moved = steepest * 0.5 * this.erosion;
+        eroded[index] -= moved;
+        EROSION_NEIGHBOURS.forEach(([dx, dz], i) => {
+          if (excesses[i] > 0) {
+            eroded[(x + dx) + (z + dz) * span] += moved * excesses[i] / total;
+          }
+        });
+      }
+    }
+
+    return eroded;
+  }
+
+  // Cut a river channel and its valley into a column (in place). Rivers only run
+  // over land; where they reach a lake or the sea their beds sink below its surface.
+  carveRiver(x, z, column) {
+    if (column.height < column.water) {
+      return;
+    }
+
+    const river = this.riverNetwork.getNearestRiver(x, z, this.riverNetwork.maxWidth + this.valleyMargin);
+    if (!river) {
+      return;
+    }
+    const { distance, surface, width } = river;
+    const bankWidth = width + this.bankMargin;
+    const valleyWidth = width + this.valleyMargin;
+    if (distance >= valleyWidth) {
+      return;
+    }
+
+    if (distance < width) {
+      // Channel: deepest along the middle, at least one block of water at the edges
+      const depth = 1 + Math.round((this.riverDepth - 1) * (1 - distance / width));
+      column.height = Math.min(column.height, surface - depth);
+      column.water = surface;
+    } else {
+      // Valley: ease the ground down to just above the river's surface
+      const t = (distance - width) / (valleyWidth - width);
+      const blend = t * t * (3 - 2 * t);
+      const floor = surface + 1;
+      if (column.height > floor) {
+        column.height = Math.floor(floor + (column.height - floor) * blend);
+      }
+
+      // Banks are built up into levees where the land dips, so the water never spills sideways
+      if (distance < bankWidth) {
+        column.height = Math.max(column.height, floor);
+      }
+    }
+
+    // Banks right next to the water get the biome's river blocks
+    column.river = distance < bankWidth && column.height <= surface + 2;
+  }
+
+  // Get the columns of a whole chunk column (index x + z * size), cached since
+  // every vertical section of the column needs them
+  getChunkColumns(chunkX, chunkZ, size) {
+    const key = `${chunkX},${chunkZ},${size}`;
+    let columns = this.columnCache.get(key);
+
+    if (!columns) {
+      const heights = this.getChunkHeights(chunkX, chunkZ, size);
+      columns = [];
+      for (let z = 0; z < size; z++) {
+        for (let x = 0; x < size; x++) {
+          columns.push(this.generateColumn(chunkX * size + x, chunkZ * size + z, heights[x + z * size]));
+        }
+      }
+
+      this.columnCache.set(key, columns);
+      if (this.columnCache.size > this.columnCacheLimit) {
+        this.columnCache.delete(this.columnCache.keys().next().value);
+      }
+    }
+
+    return columns;
+  }
+
+  getBiome(x, z) {
+    return this.biomeMap.getBiome(x, z);
+  }
+
+  // Generate terrain for one vertical section; all heights are in world blocks
+  generateChunk(chunk, chunkX, chunkY, chunkZ) {
+    const size = chunk.size;
+    const blockTypes = chunk.registry.types;
+
+    // World Y of this section's lowest layer
+    const baseY = chunkY * size;
+
+    // Terrain height, water level and biome of every column
+    const columns = this.getChunkColumns(chunkX, chunkZ, size);
+
+    // Set blocks based on the heightmap
+    for (let x = 0; x < size; x++) {
+      for (let z = 0; z < size; z++) {
+        const { height, water: columnWater, biome, river } = columns[x + z * size];
+
+        // Surface blocks for this column's biome (rivers bring their own banks and beds)
+        let surfaceBlock;
+        if (river) {
+          surfaceBlock = height < columnWater ? blockTypes[biome.riverBedBlock] : blockTypes[biome.riverBankBlock];
+        } else {
+          surfaceBlock = height < columnWater + 2 ? blockTypes[biome.shoreBlock] : blockTypes[biome.surfaceBlock];
+        }
+        const fillerBlock = blockTypes[biome.fillerBlock];
+
+        for (let y = 0; y < size; y++) {
+          const worldY = baseY + y;
+
+          if (worldY < height) {
+            // Fill below height with different blocks
+            if (worldY === height - 1) {
+              // Top layer depends on biome and height
+              chunk.setBlock(x, y, z, surfaceBlock);
+            } else if (worldY >= height - 1 - biome.fillerDepth) {
+              // Filler layer
+              chunk.setBlock(x, y, z, fillerBlock);
+            } else {
+              // Stone below
+              chunk.setBlock(x, y, z, blockTypes.STONE);
+            }
+          } else if (worldY < columnWater) {
+            // Add water up to water level
+            chunk.setBlock(x, y, z, blockTypes.WATER);
+          }
+        }
+      }
+    }
+
+    // Scatter ore veins through the stone
+    this.generateOres(chunk, chunkX, chunkY, chunkZ);
+
+    // Carve caves through everything, ores included
+    this.generateCaves(chunk, chunkX, chunkY, chunkZ, columns);
+  }
+
+  // Place ore veins. Veins start in a random spot of the section that owns them and
+  // can wander into neighbouring sections, so every section replays the veins of
+  // its 26 neighbours and keeps only the blocks that land inside itself.
+  generateOres(chunk, chunkX, chunkY, chunkZ) {
+    const size = chunk.size;
+    const blockTypes = chunk.registry.types;
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const ownerX = chunkX + dx;
+          const ownerY = chunkY + dy;
+          const ownerZ = chunkZ + dz;
+
+          // The owning section's biome may override the world's ore list
+          const biome = this.biomeMap.getBiome(ownerX * size + size / 2, ownerZ * size + size / 2);
+
+          for (const ore of resolveOres(this.ores, biome)) {
+            // Separate random stream per section and ore, so adding an ore doesn't move the others
+            const random = Noise.createRandom(`${this.seed}:${ore.block}:${ownerX}:${ownerY}:${ownerZ}`);
+
+            // Whole veins plus a chance of one more for the fractional part
+            let veinCount = Math.floor(ore.veinsPerChunk);
+            if (random() < ore.veinsPerChunk - veinCount) {
+              veinCount++;
+            }
+
+            for (let i = 0; i < veinCount; i++) {
+              // Vein start, local to this chunk
+              let x = dx * size + Math.floor(random() * size);
+              let y = dy * size + Math.floor(random() * size);
+              let z = dz * size + Math.floor(random() * size);
+
+              // Veins only start inside the ore's height range
+              const worldY = chunkY * size + y;
+              if (worldY < ore.minHeight || worldY >= ore.maxHeight) {
+                continue;
+              }
+
+              // Random walk, one step along a random axis per block
+              for (let step = 0; step < ore.veinSize; step++) {
+                if (chunk.getBlock(x, y, z) === blockTypes.STONE) {
+                  chunk.setBlock(x, y, z, blockTypes[ore.block]);
+                }
+
+                const direction = random() < 0.5 ? -1 : 1;
+                const axis = random();
+                if (axis < 1 / 3) {
+                  x += direction;
+                } else if (axis < 2 / 3) {
+                  y += direction;
+                } else {
+                  z += direction;
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // Carve worm caves and ravines from the cave carver
+  generateCaves(chunk, chunkX, chunkY, chunkZ, columns) {
+    const blockTypes = chunk.registry.types;
+    const baseY = chunkY * chunk.size;
+    const carver = this.caveCarver;
+
+    carver.forEachCarvedBlock(chunkX, chunkY, chunkZ, chunk.size, (x, y, z) => {
+      // Don't create caves in water or air
+      const currentBlock = chunk.getBlock(x, y, z);
+      if (currentBlock === blockTypes.AIR || currentBlock === blockTypes.WATER) {
+        return;
+      }
+
+      // Keep a few blocks of seabed so lakes and oceans don't drain into caves
+      const worldY = baseY + y;
+      const { height, water } = columns[x + z * chunk.size];
+      if (height < water && worldY >= height - 4) {
+        return;
+      }
+
+      // Caves that reach the water table are flooded
+      chunk.setBlock(x, y, z, worldY < carver.waterTable ? blockTypes.WATER : blockTypes.AIR);
+    });
+  }
+}
+
+// Superflat: the same stack of layers everywhere, from the bottom of the world up
+class FlatGenerator extends WorldGenerator {
+  constructor(seed, options = {}) {
+    super(seed, options);
+
+    const {
+      layers = [
+        { block: 'STONE', count: 1 },
+        { block: 'DIRT', count: 3 },
+        { block: 'GRASS', count: 1 }
+      ],
+      flatWaterLevel = 0,
+      biome = 'plains',
+      decorate = false
+    } = options;
+
+    // Layers bottom to top, each { block, count }
+    this.layers = layers;
+
+    // Water fills any air up to this many blocks above the bottom of the world
+    this.flatWaterLevel = flatWaterLevel;
+
+    this.biome = Biomes.get(biome) || Biomes.get('plains');
+    this.decorate = decorate;
+
+    // Block names per world Y, starting at minHeight
+    this.blockColumn = [];
+    for (const layer of this.layers) {
+      for (let i = 0; i < layer.count; i++) {
+        this.blockColumn.push(layer.block);
+      }
+    }
+  }
+
+  // Parse a superflat preset such as "1*stone,3*dirt,1*grass;water_level=2;biome=desert".
+  // Layers are listed bottom to top, "N*" is optional, and settings follow after ';'.
+  // Layer blocks must be in options.blocks (the registry chunks are written
+  // with, Blocks by default). Returns null (after logging why) if the preset
+  // can't be parsed.
+  static fromPreset(preset, seed, options = {}) {
+    const [layerPart, ...settingParts] = preset.split(';');
+    const registry = options.blocks || Blocks;
+    const layers = [];
+
+    for (const entry of layerPart.split(',')) {
+      const match = /^\s*(?:(\d+)\s*\*)?\s*([a-z_]+)\s*$/i.exec(entry);
+      if (!match) {
+        console.error(`Invalid superflat layer "${entry}" in preset "${preset}"`);
+        return null;
+      }
+
+      // Checked here against the registry chunks will be written with, rather
+      // than while generating, where it would be for every chunk
+      const block = match[2].toUpperCase();
+      if (!registry.get(block)) {
+        console.error(`Unknown block "${match[2]}" in superflat preset "${preset}"`);
+        return null;
+      }
+
+      layers.push({ block, count: match[1] ? parseInt(match[1]) : 1 });
+    }
+
+    const settings = { layers };
+    for (const part of settingParts) {
+      const [key, value] = part.split('=').map(s => s.trim());
+
+      switch (key) {
+        case 'water_level':
+          settings.flatWaterLevel = parseInt(value);
+          break;
+        case 'biome':
+          settings.biome = value;
+          break;
+        case 'decorate':
+          settings.decorate = value !== 'false';
+          break;
+        default:
+          console.warn(`Unknown superflat setting "${key}" in preset "${preset}"`);
+      }
+    }
+
+    return new FlatGenerator(seed, Object.assign({}, options, settings));
+  }
+
+  getColumn(x, z) {
+    return {
+      height: this.minHeight + this.blockColumn.length,
+      water: this.minHeight + this.flatWaterLevel,
+      biome: this.biome
+    };
+  }
+
+  getBiome(x, z) {
+    return this.biome;
+  }
+
+  generateChunk(chunk, chunkX, chunkY, chunkZ) {
+    const size = chunk.size;
+    const baseY = chunkY * size;
+    const blockTypes = chunk.registry.types;
+
+    for (let y = 0; y < size; y++) {
+      const level = baseY + y - this.minHeight;
+      let blockType = blockTypes.AIR;
+
+      if (level < this.blockColumn.length) {
+        // Layer blocks are checked by fromPreset; any others are left as air
+        blockType = blockTypes[this.blockColumn[level]] || blockTypes.AIR;
+      } else if (level < this.flatWaterLevel) {
+        blockType = blockTypes.WATER;
+      }
+
+      if (blockType === blockTypes.AIR) {
+        continue;
+      }
+
+      for (let x = 0; x < size; x++) {
+        for (let z = 0; z < size; z++) {
+          chunk.setBlock(x, y, z, blockType);
+        }
+      }
+    }
+  }
+}
+
+// Empty world with a small stone platform to stand on at the origin
+class VoidGenerator extends WorldGenerator {
+  constructor(seed, options = {}) {
+    super(seed, options);
+
+    // Platform half-width in blocks, and the height of its top surface
+    this.platformRadius = 2;
+    this.platformY = this.waterLevel;
+  }
+
+  isOnPlatform(x, z) {
+    return Math.abs(x) <= this.platformRadius && Math.abs(z) <= this.platformRadius;
+  }
+
+  getColumn(x, z) {
+    const height = this.isOnPlatform(x, z) ? this.platformY + 1 : this.minHeight;
+    return { height, water: this.minHeight, biome: this.getBiome(x, z) };
+  }
+
+  generateChunk(chunk, chunkX, chunkY, chunkZ) {
+    const size = chunk.size;
+    const y = this.platformY - chunkY * size;
+    if (y < 0 || y >= size) {
+      return;
+    }
+
+    for (let x = 0; x < size; x++) {
+      for (let z = 0; z < size; z++) {
+        if (this.isOnPlatform(chunkX * size + x, chunkZ * size + z)) {
+          chunk.setBlock(x, y, z, chunk.registry.types.STONE);
+        }
+      }
+    }
+  }
+}
+
+// Built-in generators by name
+const WorldGenerators = {
+  default: (seed, options) => new DefaultGenerator(seed, options),
+  amplified: (seed, options) => new DefaultGenerator(seed, Object.assign({ amplification: 2.5 }, options)),
+  flat: (seed, options) => new FlatGenerator(seed, options),
+  void: (seed, options) => new VoidGenerator(seed, options)
+};
+
+// Create a generator from a name in WorldGenerators or a superflat preset string,
+// falling back to the default generator if neither works
+function createWorldGenerator(type, seed, options = {}) {
+  // Own properties only, so names like "constructor" aren't taken for generators
+  if (Object.prototype.hasOwnProperty.call(WorldGenerators, type)) {
+    return WorldGenerators[type](seed, options);
+  }
+
+  // Anything else may be a superflat preset, down to a single layer ("stone")
+  if (typeof type === 'string') {
+    const generator = FlatGenerator.fromPreset(type, seed, options);
+    if (generator) {
+      return generator;
+    }
+  }
+
+  console.error(`Unknown world generator or superflat preset "${type}", using the default generator`);
+  return WorldGenerators.default(seed, options);
+}
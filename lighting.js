@@ -0,0 +1,388 @@
+// lighting.js - Sky light and block light, spread through the world's chunks
+//
+// Every block has two light levels, 0-15, kept in its chunk's light array as
+// one byte (sky << 4 | block, which is also how mesh vertices carry it):
+//
+//   sky    Comes straight down from the sky at full strength, and spreads out
+//          sideways and under overhangs from there
+//   block  Given off by blocks with a lightEmission (torches) and spread
+//          from them
+//
+// Both lose a level for every block they spread into, and more through blocks
+// with a lightOpacity (water, leaves); opaque blocks stop them. Light is spread
+// by breadth-first flood fill, straight across chunk borders, and kept up to
+// date incrementally: when blocks change, the light they were passing on is
+// taken away by a removal fill, which stops at light that has another source
+// and spreads that back in.
+
+const MAX_LIGHT = 15;
+
+// Where each kind of light sits in the packed byte
+const SKY_LIGHT_SHIFT = 4;
+const BLOCK_LIGHT_SHIFT = 0;
+
+// How bright each light level looks: every level down is a fifth darker, so
+// light fades out gradually instead of in even steps, and the darkest caves
+// aren't quite black (handed to the chunk shader)
+const LIGHT_BRIGHTNESS = Array.from({ length: MAX_LIGHT + 1 }, (_, level) => Math.max(0.04, Math.pow(0.8, MAX_LIGHT - level)));
+
+class LightEngine {
+  constructor(world) {
+    this.world = world;
+    this.size = world.chunkSize;
+
+    // Per block type and state (type << 8 | state): how many levels light
+    // loses going into the block, all of them for opaque blocks; and the light
+    // each type gives off. Built from the block registry as it was at
+    // blockVersion, and again whenever blocks are registered after that.
+    this.attenuation = new Uint8Array(256 * 256);
+    this.emission = new Uint8Array(256);
+    this.blockVersion = -1;
+    this.updateBlockTables();
+
+    // The chunk the last looked-up block was in (see locate), and the keys of
+    // the chunks whose light an update changed, or that border a change
+    this.cached = null;
+    this.previous = null;
+    this.changedChunks = null;
+  }
+
+  // Light a chunk that has just been added to the world: sky light from
+  // above, light from its emitters, and light from the loaded chunks around
+  // it, all spread through it and on into its neighbours. Returns the keys of
+  // the chunks whose light changed.
+  lightChunk(chunkX, chunkY, chunkZ) {
+    this.beginUpdate();
+    const size = this.size;
+    const chunk = this.world.chunks.get(this.world.getChunkKey(chunkX, chunkY, chunkZ));
+    chunk.light.fill(0);
+    const originX = chunkX * size;
+    const originY = chunkY * size;
+    const originZ = chunkZ * size;
+
+    // Sky light straight down each column, from the chunk above's bottom
+    // blocks or from the sky itself
+    const skyLevels = new Uint8Array(chunk.light.length);
+    const above = this.world.chunks.get(this.world.getChunkKey(chunkX, chunkY + 1, chunkZ));
+    for (let x = 0; x < size; x++) {
+      for (let z = 0; z < size; z++) {
+        const fromAbove = above
+          ? (above.light[x + z * size * size] >> SKY_LIGHT_SHIFT) === MAX_LIGHT
+          : this.world.isSkyAbove(originX + x, originY + size - 1, originZ + z);
+        let level = fromAbove ? MAX_LIGHT : 0;
+        for (let y = size - 1; y >= 0 && level > 0; y--) {
+          const index = x + y * size + z * size * size;
+          level = LightEngine.passDown(level, this.attenuation[chunk.blocks[index] << 8 | chunk.states[index]]);
+          skyLevels[index] = Math.max(0, level);
+        }
+      }
+    }
+
+    // The chunk below may have taken full sky light from the sky before this
+    // chunk arrived (see World.isSkyAbove); take it away where it doesn't come
+    // down through here. This chunk is still dark, so the removal stays below.
+    const sky = [];
+    const removals = [];
+    for (let x = 0; x < size; x++) {
+      for (let z = 0; z < size; z++) {
+        if (skyLevels[x + z * size * size] !== MAX_LIGHT &&
+            this.getLevel(originX + x, originY - 1, originZ + z, SKY_LIGHT_SHIFT) === MAX_LIGHT) {
+          this.setLevel(originX + x, originY - 1, originZ + z, SKY_LIGHT_SHIFT, 0);
+          removals.push(originX + x, originY - 1, originZ + z, MAX_LIGHT);
+        }
+      }
+    }
+    this.removeLight(removals, SKY_LIGHT_SHIFT, sky);
+
+    // Light the columns, and the emitters
+    const block = [];
+    for (let index = 0; index < chunk.blocks.length; index++) {
+      const x = originX + index % size;
+      const y = originY + Math.floor(index / size) % size;
+      const z = originZ + Math.floor(index / (size * size));
+      if (skyLevels[index] > 0) {
+        this.setLevel(x, y, z, SKY_LIGHT_SHIFT, skyLevels[index]);
+        sky.push(x, y, z);
+      }
+      const emission = this.emission[chunk.blocks[index]];
+      if (emission > 0) {
+        this.setLevel(x, y, z, BLOCK_LIGHT_SHIFT, emission);
+        block.push(x, y, z);
+      }
+    }
+
+    // The neighbours' blocks along the shared sides spread their light in
+    for (let face = 0; face < 6; face++) {
+      const d = FACE_AXES[face];
+      const a = (d + 1) % 3;
+      const b = (d + 2) % 3;
+      const [dx, dy, dz] = FACE_DIRECTIONS[face];
+      for (let i = 0; i < size; i++) {
+        for (let j = 0; j < size; j++) {
+          // The block just outside the chunk, across this side
+          const position = [originX, originY, originZ];
+          position[d] += dx + dy + dz > 0 ? size : -1;
+          position[a] += i;
+          position[b] += j;
+          const [x, y, z] = position;
+          if (this.getLevel(x, y, z, SKY_LIGHT_SHIFT) > 0) {
+            sky.push(x, y, z);
+          }
+          if (this.getLevel(x, y, z, BLOCK_LIGHT_SHIFT) > 0) {
+            block.push(x, y, z);
+          }
+        }
+      }
+    }
+
+    this.spreadLight(sky, SKY_LIGHT_SHIFT);
+    this.spreadLight(block, BLOCK_LIGHT_SHIFT);
+    return this.endUpdate();
+  }
+
+  // Bring the light up to date after blocks changed, given their positions
+  // as [x, y, z] lists. Returns the keys of the chunks whose light changed.
+  updateBlocks(positions) {
+    this.beginUpdate();
+    const channels = [
+      { shift: SKY_LIGHT_SHIFT, removals: [], relight: [] },
+      { shift: BLOCK_LIGHT_SHIFT, removals: [], relight: [] }
+    ];
+
+    for (const [x, y, z] of positions) {
+      if (!this.locate(x, y, z)) {
+        continue;
+      }
+
+      // Darken the block and take away the light it was passing on; the light
+      // around it (and its own, if it gives any off) spreads back in afterwards
+      for (const { shift, removals, relight } of channels) {
+        const level = this.getLevel(x, y, z, shift);
+        if (level > 0) {
+          this.setLevel(x, y, z, shift, 0);
+          removals.push(x, y, z, level);
+        }
+        for (const [dx, dy, dz] of FACE_DIRECTIONS) {
+          relight.push(x + dx, y + dy, z + dz);
+        }
+      }
+
+      const { chunk, index } = this.cached;
+      const emission = this.emission[chunk.blocks[index]];
+      if (emission > 0) {
+        this.setLevel(x, y, z, BLOCK_LIGHT_SHIFT, emission);
+        channels[1].relight.push(x, y, z);
+      }
+
+      // Under open sky with no chunk above to bring it down, the block takes
+      // its sky light from the sky directly
+      if (!this.locate(x, y + 1, z) && this.world.isSkyAbove(x, y, z)) {
+        const level = LightEngine.passDown(MAX_LIGHT, this.attenuation[chunk.blocks[index] << 8 | chunk.states[index]]);
+        if (level > 0) {
+          this.setLevel(x, y, z, SKY_LIGHT_SHIFT, level);
+          channels[0].relight.push(x, y, z);
+        }
+      }
+    }
+
+    for (const { shift, removals, relight } of channels) {
+      this.removeLight(removals, shift, relight);
+      this.spreadLight(relight, shift);
+    }
+    return this.endUpdate();
+  }
+
+  // Packed light (sky << 4 | block) at a world position; blocks in chunks
+  // that aren't loaded are in full daylight
+  getLight(x, y, z) {
+    this.cached = null;
+    this.previous = null;
+    if (!this.locate(x, y, z)) {
+      return FULL_LIGHT;
+    }
+    return this.cached.chunk.light[this.cached.index];
+  }
+
+  // An update starts with nothing looked up and nothing changed, and hands
+  // back the chunks it changed
+  beginUpdate() {
+    this.updateBlockTables();
+    this.cached = null;
+    this.previous = null;
+    this.changedChunks = new Set();
+  }
+
+  // Rebuild the attenuation and emission tables if blocks were registered (or
+  // replaced) since they were built. Light already spread keeps the old
+  // values until the blocks around it change.
+  updateBlockTables() {
+    const registry = this.world.blockRegistry;
+    if (this.blockVersion === registry.version) {
+      return;
+    }
+    this.blockVersion = registry.version;
+
+    this.attenuation.fill(1);
+    this.emission.fill(0);
+    for (const block of registry.getAll()) {
+      this.emission[block.type] = block.lightEmission;
+      for (let state = 0; state < 256; state++) {
+        const known = state < block.stateCount ? state : 0;
+        this.attenuation[block.type << 8 | state] = registry.isOpaque(block.type, known) ? MAX_LIGHT : 1 + block.lightOpacity;
+      }
+    }
+  }
+
+  endUpdate() {
+    const changedChunks = this.changedChunks;
+    this.changedChunks = null;
+    this.cached = null;
+    this.previous = null;
+    return changedChunks;
+  }
+
+  // Spread light outwards from the queued blocks (flat x, y, z triples),
+  // queueing every block it brightens in turn
+  spreadLight(queue, shift) {
+    for (let i = 0; i < queue.length; i += 3) {
+      const x = queue[i];
+      const y = queue[i + 1];
+      const z = queue[i + 2];
+      const level = this.getLevel(x, y, z, shift);
+      if (level <= 1) {
+        continue;
+      }
+
+      for (let face = 0; face < 6; face++) {
+        const [dx, dy, dz] = FACE_DIRECTIONS[face];
+        if (!this.locate(x + dx, y + dy, z + dz)) {
+          continue;
+        }
+        const { chunk, index } = this.cached;
+        const attenuation = this.attenuation[chunk.blocks[index] << 8 | chunk.states[index]];
+        const spread = shift === SKY_LIGHT_SHIFT && face === 5 ? LightEngine.passDown(level, attenuation) : level - attenuation;
+        if (spread > ((chunk.light[index] >> shift) & MAX_LIGHT)) {
+          this.setLevel(x + dx, y + dy, z + dz, shift, spread);
+          queue.push(x + dx, y + dy, z + dz);
+        }
+      }
+    }
+  }
+
+  // Take away the light that spread from the queued blocks (flat x, y, z,
+  // level quadruples, the level each had before it was darkened). Neighbours
+  // at least as bright were lit from somewhere else, so they're added to
+  // relight (x, y, z triples) to spread their light back over the gap.
+  removeLight(queue, shift, relight) {
+    for (let i = 0; i < queue.length; i += 4) {
+      const x = queue[i];
+      const y = queue[i + 1];
+      const z = queue[i + 2];
+      const level = queue[i + 3];
+
+      for (let face = 0; face < 6; face++) {
+        const [dx, dy, dz] = FACE_DIRECTIONS[face];
+        if (!this.locate(x + dx, y + dy, z + dz)) {
+          continue;
+        }
+        const { chunk, index } = this.cached;
+        const neighbourLevel = (chunk.light[index] >> shift) & MAX_LIGHT;
+        if (neighbourLevel === 0) {
+          continue;
+        }
+
+        // Full sky light going down stays full, so below it the same level may
+        // still have come from here
+        const fromSky = shift === SKY_LIGHT_SHIFT && face === 5 && level === MAX_LIGHT;
+        if (neighbourLevel < level || (fromSky && neighbourLevel === MAX_LIGHT)) {
+          this.setLevel(x + dx, y + dy, z + dz, shift, 0);
+          queue.push(x + dx, y + dy, z + dz, neighbourLevel);
+
+          // Emitters keep their own light
+          const emission = shift === BLOCK_LIGHT_SHIFT ? this.emission[chunk.blocks[index]] : 0;
+          if (emission > 0) {
+            this.setLevel(x + dx, y + dy, z + dz, shift, emission);
+            relight.push(x + dx, y + dy, z + dz);
+          }
+        } else {
+          relight.push(x + dx, y + dy, z + dz);
+        }
+      }
+    }
+  }
+
+  // Sky light going down into a block: full sky light keeps its strength
+  // through clear blocks, otherwise it fades as it does sideways
+  static passDown(level, attenuation) {
+    return level === MAX_LIGHT && attenuation === 1 ? MAX_LIGHT : level - attenuation;
+  }
+
+  // Look up the chunk and index of a world position into cached. The last two
+  // chunks looked up are kept, as fills keep going back and forth across a
+  // border. Returns false if the chunk isn't loaded.
+  locate(x, y, z) {
+    const size = this.size;
+    let cached = this.cached;
+    if (!cached || !LightEngine.contains(cached, x, y, z, size)) {
+      const previous = this.previous;
+      if (previous && LightEngine.contains(previous, x, y, z, size)) {
+        cached = previous;
+      } else {
+        const chunkX = Math.floor(x / size);
+        const chunkY = Math.floor(y / size);
+        const chunkZ = Math.floor(z / size);
+        const key = this.world.getChunkKey(chunkX, chunkY, chunkZ);
+        cached = {
+          chunkX, chunkY, chunkZ, key,
+          originX: chunkX * size, originY: chunkY * size, originZ: chunkZ * size,
+          chunk: this.world.chunks.get(key),
+          index: 0
+        };
+      }
+      this.previous = this.cached;
+      this.cached = cached;
+    }
+    if (!cached.chunk) {
+      return false;
+    }
+
+    cached.index = (x - cached.originX) + (y - cached.originY) * size + (z - cached.originZ) * size * size;
+    return true;
+  }
+
+  // Whether a world position is in a looked-up chunk
+  static contains(cached, x, y, z, size) {
+    return x >= cached.originX && x < cached.originX + size &&
+      y >= cached.originY && y < cached.originY + size &&
+      z >= cached.originZ && z < cached.originZ + size;
+  }
+
+  // One kind of light at a world position, 0 where the chunk isn't loaded
+  getLevel(x, y, z, shift) {
+    if (!this.locate(x, y, z)) {
+      return 0;
+    }
+    return (this.cached.chunk.light[this.cached.index] >> shift) & MAX_LIGHT;
+  }
+
+  // Set one kind of light at a world position in a loaded chunk, recording
+  // the chunks whose meshes show it: the block's own, and the ones across any
+  // chunk side it lies on (their faces against it are lit by it)
+  setLevel(x, y, z, shift, level) {
+    this.locate(x, y, z);
+    const { chunk, index, chunkX, chunkY, chunkZ, key, originX, originY, originZ } = this.cached;
+    chunk.light[index] = (chunk.light[index] & ~(MAX_LIGHT << shift)) | (level << shift);
+
+    this.changedChunks.add(key);
+    const last = this.size - 1;
+    if (x === originX || x === originX + last) {
+      this.changedChunks.add(this.world.getChunkKey(chunkX + (x === originX ? -1 : 1), chunkY, chunkZ));
+    }
+    if (y === originY || y === originY + last) {
+      this.changedChunks.add(this.world.getChunkKey(chunkX, chunkY + (y === originY ? -1 : 1), chunkZ));
+    }
+    if (z === originZ || z === originZ + last) {
+      this.changedChunks.add(this.world.getChunkKey(chunkX, chunkY, chunkZ + (z === originZ ? -1 : 1)));
+    }
+  }
+}
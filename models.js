@@ -0,0 +1,174 @@
+// models.js - Block shapes for the mesher
+//
+// A model turns a block's state properties into geometry in block space, where
+// 0..1 spans the block's cell:
+//
+//   boxes  [[x0, y0, z0, x1, y1, z1], ...]  Textured like a cube, each face
+//                                           showing the matching part of the texture
+//   cross  true                             Two crossed, see-through quads (plants)
+//
+// Models marked dynamic also look at neighbouring blocks (fences connect, liquid
+// surfaces drop when nothing flows in from above). They get a neighbour(dx, dy, dz)
+// function returning { type, block } for the block at that offset; everything else
+// is evaluated once per state by the block registry.
+
+// The cell's sides in mesh face order (top, front, right, back, left, bottom):
+// the axis each lies across, which end of the cell, and the two axes spanning it
+const CELL_SIDES = [[1, 1, 0, 2], [2, 1, 0, 1], [0, 1, 2, 1], [2, 0, 0, 1], [0, 0, 2, 1], [1, 0, 0, 2]];
+
+const BlockModels = {
+  cube: {
+    getShape: () => ({ boxes: [[0, 0, 0, 1, 1, 1]] })
+  },
+
+  slab: {
+    getShape: ({ half }) => ({
+      boxes: [half === 'top' ? [0, 0.5, 0, 1, 1, 1] : [0, 0, 0, 1, 0.5, 1]]
+    })
+  },
+
+  // A slab plus a step along the back. Unturned, the steps face south (+z), so
+  // the full-height back is the north half.
+  stair: {
+    getShape: ({ facing, half }) => {
+      let boxes = [[0, 0, 0, 1, 0.5, 1], [0, 0.5, 0, 1, 1, 0.5]];
+      boxes = BlockModels.rotateBoxes(boxes, ['south', 'west', 'north', 'east'].indexOf(facing));
+      return { boxes: half === 'top' ? BlockModels.flipBoxes(boxes) : boxes };
+    }
+  },
+
+  // A post with rails towards neighbouring fences and solid blocks
+  fence: {
+    dynamic: true,
+    getShape: (properties, neighbour) => {
+      const boxes = [[0.375, 0, 0.375, 0.625, 1, 0.625]];
+
+      if (neighbour) {
+        // North, east, south, west as [dx, dz]
+        for (const [dx, dz] of [[0, -1], [1, 0], [0, 1], [-1, 0]]) {
+          const { block } = neighbour(dx, 0, dz);
+          if (block.model !== 'fence' && !(block.solid && block.model === 'cube')) {
+            continue;
+          }
+
+          // Rail from the post to the edge of the cell, at two heights
+          const x0 = dx < 0 ? 0 : dx > 0 ? 0.625 : 0.4375;
+          const x1 = dx < 0 ? 0.375 : dx > 0 ? 1 : 0.5625;
+          const z0 = dz < 0 ? 0 : dz > 0 ? 0.625 : 0.4375;
+          const z1 = dz < 0 ? 0.375 : dz > 0 ? 1 : 0.5625;
+          boxes.push([x0, 0.375, z0, x1, 0.5625, z1], [x0, 0.75, z0, x1, 0.9375, z1]);
+        }
+      }
+
+      return { boxes };
+    }
+  },
+
+  torch: {
+    getShape: () => ({ boxes: [[0.4375, 0, 0.4375, 0.5625, 0.625, 0.5625]] })
+  },
+
+  cross: {
+    getShape: () => ({ boxes: [], cross: true })
+  },
+
+  // Full block at level 0; higher levels sit lower, unless more liquid is on top
+  liquid: {
+    dynamic: true,
+    getShape: ({ level = 0 }, neighbour) => {
+      if (level === 0 || (neighbour && neighbour(0, 1, 0).block.liquid)) {
+        return { boxes: [[0, 0, 0, 1, 1, 1]] };
+      }
+      return { boxes: [[0, 0, 0, 1, 1 - (level + 1) / 9, 1]] };
+    }
+  },
+
+  // Turn boxes clockwise (seen from above) about the middle of the cell, in quarter turns
+  rotateBoxes(boxes, turns) {
+    for (let i = 0; i < turns; i++) {
+      boxes = boxes.map(([x0, y0, z0, x1, y1, z1]) => [1 - z1, y0, x0, 1 - z0, y1, x1]);
+    }
+    return boxes;
+  },
+
+  // Mirror boxes top to bottom
+  flipBoxes(boxes) {
+    return boxes.map(([x0, y0, z0, x1, y1, z1]) => [x0, 1 - y1, z0, x1, 1 - y0, z1]);
+  },
+
+  // Bit mask of the cell sides (mesh face order: top, front, right, back, left,
+  // bottom) that a shape covers completely, so the neighbour's face there is hidden.
+  // Each side is checked on a grid of points so several boxes can cover it together.
+  getFullFaces(shape) {
+    const samples = 8;
+    let mask = 0;
+
+    CELL_SIDES.forEach(([axis, end, a, b], face) => {
+      for (let i = 0; i < samples; i++) {
+        for (let j = 0; j < samples; j++) {
+          const pa = (i + 0.5) / samples;
+          const pb = (j + 0.5) / samples;
+          const covered = shape.boxes.some(box =>
+            (end ? box[axis + 3] >= 1 : box[axis] <= 0) &&
+            box[a] <= pa && pa <= box[a + 3] &&
+            box[b] <= pb && pb <= box[b + 3]
+          );
+          if (!covered) {
+            return;
+          }
+        }
+      }
+      mask |= 1 << face;
+    });
+
+    return mask;
+  },
+
+  // The parts of each cell side (mesh face order) a shape covers, as the
+  // rectangles [a0, b0, a1, b1] of its boxes' faces there, in the side's two
+  // axes (see CELL_SIDES). A neighbour's face inside them is hidden.
+  getSideRects(shape) {
+    return CELL_SIDES.map((side, face) => shape.boxes
+      .filter(box => BlockModels.isBoxOnSide(box, face))
+      .map(box => BlockModels.getBoxSideRect(box, face)));
+  },
+
+  // Whether a box's face reaches the side of the cell it faces
+  isBoxOnSide(box, face) {
+    const [axis, end] = CELL_SIDES[face];
+    return end ? box[axis + 3] >= 1 : box[axis] <= 0;
+  },
+
+  // The rectangle a box's face covers, in the axes of that side of the cell.
+  // Opposite sides share their axes, so it can be compared with the neighbour's.
+  getBoxSideRect(box, face) {
+    const [, , a, b] = CELL_SIDES[face];
+    return [box[a], box[b], box[a + 3], box[b + 3]];
+  },
+
+  // Whether rectangles together cover a rectangle: it's cut along their edges,
+  // and the middle of every piece has to be inside one of them
+  coversRect(rects, [a0, b0, a1, b1]) {
+    const cuts = (low, high, lowIndex, highIndex) => {
+      const values = [low, high];
+      for (const rect of rects) {
+        values.push(rect[lowIndex], rect[highIndex]);
+      }
+      return values.filter(value => value >= low && value <= high).sort((p, q) => p - q);
+    };
+    const as = cuts(a0, a1, 0, 2);
+    const bs = cuts(b0, b1, 1, 3);
+
+    for (let i = 1; i < as.length; i++) {
+      for (let j = 1; j < bs.length; j++) {
+        const pa = (as[i - 1] + as[i]) / 2;
+        const pb = (bs[j - 1] + bs[j]) / 2;
+        if (as[i] > as[i - 1] && bs[j] > bs[j - 1] &&
+            !rects.some(rect => rect[0] <= pa && pa <= rect[2] && rect[1] <= pb && pb <= rect[3])) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+};
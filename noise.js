@@ -0,0 +1,290 @@
+// noise.js - Seeded gradient noise for deterministic terrain generation
+
+class Noise {
+  constructor(seed = 0) {
+    this.seed = seed;
+
+    // Permutation table, doubled so lookups never need to wrap
+    this.perm = new Uint8Array(512);
+    this.permMod12 = new Uint8Array(512);
+
+    // Shuffle 0..255 with a seeded PRNG (Fisher-Yates)
+    const random = Noise.createRandom(seed);
+    const p = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) {
+      p[i] = i;
+    }
+    for (let i = 255; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      const tmp = p[i];
+      p[i] = p[j];
+      p[j] = tmp;
+    }
+
+    for (let i = 0; i < 512; i++) {
+      this.perm[i] = p[i & 255];
+      this.permMod12[i] = this.perm[i] % 12;
+    }
+  }
+
+  // Convert a numeric or string seed into a 32-bit integer
+  static hashSeed(seed) {
+    let h = 0x811c9dc5;
+
+    if (typeof seed === 'string') {
+      for (let i = 0; i < seed.length; i++) {
+        h = Math.imul(h ^ seed.charCodeAt(i), 0x01000193);
+      }
+    } else {
+      // Keep some of the fractional part so seeds like 1234.56 stay distinct
+      const n = Math.floor(seed * 65536);
+      h = Math.imul(h ^ (n | 0), 0x01000193);
+      h = Math.imul(h ^ ((n / 4294967296) | 0), 0x01000193);
+    }
+
+    return h >>> 0;
+  }
+
+  // Small deterministic PRNG (mulberry32) - integer math only, so results match across engines
+  static createRandom(seed) {
+    let state = Noise.hashSeed(seed);
+
+    return function() {
+      state = (state + 0x6d2b79f5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Hash integer lattice coordinates to a value in [0, 1)
+  static hash(x, y, z, seed) {
+    let h = Noise.hashSeed(seed);
+    h = Math.imul(h ^ (x | 0), 0x27d4eb2d);
+    h = Math.imul(h ^ (y | 0), 0x165667b1);
+    h = Math.imul(h ^ (z | 0), 0x85ebca6b);
+    h ^= h >>> 15;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 13;
+    return (h >>> 0) / 4294967296;
+  }
+
+  // 2D simplex noise, returns a value in [-1, 1]
+  noise2D(x, y) {
+    const perm = this.perm;
+    const permMod12 = this.permMod12;
+
+    // Skew the input space to find the simplex cell
+    const s = (x + y) * SIMPLEX_F2;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    const t = (i + j) * SIMPLEX_G2;
+    const x0 = x - (i - t);
+    const y0 = y - (j - t);
+
+    // Work out which of the two triangles we're in
+    const i1 = x0 > y0 ? 1 : 0;
+    const j1 = x0 > y0 ? 0 : 1;
+
+    const x1 = x0 - i1 + SIMPLEX_G2;
+    const y1 = y0 - j1 + SIMPLEX_G2;
+    const x2 = x0 - 1 + 2 * SIMPLEX_G2;
+    const y2 = y0 - 1 + 2 * SIMPLEX_G2;
+
+    const ii = i & 255;
+    const jj = j & 255;
+
+    // Contribution from each corner
+    let n0 = 0, n1 = 0, n2 = 0;
+
+    let t0 = 0.5 - x0 * x0 - y0 * y0;
+    if (t0 > 0) {
+      const g = SIMPLEX_GRAD3[permMod12[ii + perm[jj]]];
+      t0 *= t0;
+      n0 = t0 * t0 * (g[0] * x0 + g[1] * y0);
+    }
+
+    let t1 = 0.5 - x1 * x1 - y1 * y1;
+    if (t1 > 0) {
+      const g = SIMPLEX_GRAD3[permMod12[ii + i1 + perm[jj + j1]]];
+      t1 *= t1;
+      n1 = t1 * t1 * (g[0] * x1 + g[1] * y1);
+    }
+
+    let t2 = 0.5 - x2 * x2 - y2 * y2;
+    if (t2 > 0) {
+      const g = SIMPLEX_GRAD3[permMod12[ii + 1 + perm[jj + 1]]];
+      t2 *= t2;
+      n2 = t2 * t2 * (g[0] * x2 + g[1] * y2);
+    }
+
+    // Scale the result to cover [-1, 1]
+    return 70 * (n0 + n1 + n2);
+  }
+
+  // 3D simplex noise, returns a value in [-1, 1]
+  noise3D(x, y, z) {
+    const perm = this.perm;
+    const permMod12 = this.permMod12;
+
+    // Skew the input space to find the simplex cell
+    const s = (x + y + z) * SIMPLEX_F3;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    const k = Math.floor(z + s);
+    const t = (i + j + k) * SIMPLEX_G3;
+    const x0 = x - (i - t);
+    const y0 = y - (j - t);
+    const z0 = z - (k - t);
+
+    // Work out which of the six tetrahedra we're in
+    let i1, j1, k1, i2, j2, k2;
+    if (x0 >= y0) {
+      if (y0 >= z0) {
+        i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0;
+      } else if (x0 >= z0) {
+        i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1;
+      } else {
+        i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1;
+      }
+    } else {
+      if (y0 < z0) {
+        i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1;
+      } else if (x0 < z0) {
+        i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1;
+      } else {
+        i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0;
+      }
+    }
+
+    const x1 = x0 - i1 + SIMPLEX_G3;
+    const y1 = y0 - j1 + SIMPLEX_G3;
+    const z1 = z0 - k1 + SIMPLEX_G3;
+    const x2 = x0 - i2 + 2 * SIMPLEX_G3;
+    const y2 = y0 - j2 + 2 * SIMPLEX_G3;
+    const z2 = z0 - k2 + 2 * SIMPLEX_G3;
+    const x3 = x0 - 1 + 3 * SIMPLEX_G3;
+    const y3 = y0 - 1 + 3 * SIMPLEX_G3;
+    const z3 = z0 - 1 + 3 * SIMPLEX_G3;
+
+    const ii = i & 255;
+    const jj = j & 255;
+    const kk = k & 255;
+
+    // Contribution from each corner
+    let n0 = 0, n1 = 0, n2 = 0, n3 = 0;
+
+    let t0 = 0.6 - x0 * x0 - y0 * y0 - z0 * z0;
+    if (t0 > 0) {
+      const g = SIMPLEX_GRAD3[permMod12[ii + perm[jj + perm[kk]]]];
+      t0 *= t0;
+      n0 = t0 * t0 * (g[0] * x0 + g[1] * y0 + g[2] * z0);
+    }
+
+    let t1 = 0.6 - x1 * x1 - y1 * y1 - z1 * z1;
+    if (t1 > 0) {
+      const g = SIMPLEX_GRAD3[permMod12[ii + i1 + perm[jj + j1 + perm[kk + k1]]]];
+      t1 *= t1;
+      n1 = t1 * t1 * (g[0] * x1 + g[1] * y1 + g[2] * z1);
+    }
+
+    let t2 = 0.6 - x2 * x2 - y2 * y2 - z2 * z2;
+    if (t2 > 0) {
+      const g = SIMPLEX_GRAD3[permMod12[ii + i2 + perm[jj + j2 + perm[kk + k2]]]];
+      t2 *= t2;
+      n2 = t2 * t2 * (g[0] * x2 + g[1] * y2 + g[2] * z2);
+    }
+
+    let t3 = 0.6 - x3 * x3 - y3 * y3 - z3 * z3;
+    if (t3 > 0) {
+      const g = SIMPLEX_GRAD3[permMod12[ii + 1 + perm[jj + 1 + perm[kk + 1]]]];
+      t3 *= t3;
+      n3 = t3 * t3 * (g[0] * x3 + g[1] * y3 + g[2] * z3);
+    }
+
+    // Scale the result to cover [-1, 1]
+    return 32 * (n0 + n1 + n2 + n3);
+  }
+
+  // Fractal Brownian motion: sum several octaves of 2D noise, result in [-1, 1]
+  fbm2D(x, y, octaves = 4, lacunarity = 2.0, gain = 0.5) {
+    let result = 0;
+    let amplitude = 1.0;
+    let frequency = 1.0;
+    let maxValue = 0;
+
+    for (let i = 0; i < octaves; i++) {
+      result += this.noise2D(x * frequency, y * frequency) * amplitude;
+      maxValue += amplitude;
+      amplitude *= gain;
+      frequency *= lacunarity;
+    }
+
+    return result / maxValue;
+  }
+
+  // Fractal Brownian motion in 3D, result in [-1, 1]
+  fbm3D(x, y, z, octaves = 4, lacunarity = 2.0, gain = 0.5) {
+    let result = 0;
+    let amplitude = 1.0;
+    let frequency = 1.0;
+    let maxValue = 0;
+
+    for (let i = 0; i < octaves; i++) {
+      result += this.noise3D(x * frequency, y * frequency, z * frequency) * amplitude;
+      maxValue += amplitude;
+      amplitude *= gain;
+      frequency *= lacunarity;
+    }
+
+    return result / maxValue;
+  }
+
+  // Ridged multifractal noise for sharp mountain ridges, result in [0, 1]
+  ridged2D(x, y, octaves = 4, lacunarity = 2.0, gain = 0.5) {
+    let result = 0;
+    let amplitude = 1.0;
+    let frequency = 1.0;
+    let maxValue = 0;
+    let weight = 1.0;
+
+    for (let i = 0; i < octaves; i++) {
+      // Fold the noise so zero crossings become sharp ridges
+      let signal = 1.0 - Math.abs(this.noise2D(x * frequency, y * frequency));
+      signal *= signal;
+
+      // Each octave is weighted by the previous one so ridges stay crisp
+      signal *= weight;
+      weight = Math.min(1.0, Math.max(0.0, signal * 2.0));
+
+      result += signal * amplitude;
+      maxValue += amplitude;
+      amplitude *= gain;
+      frequency *= lacunarity;
+    }
+
+    return result / maxValue;
+  }
+
+  // Domain-warped fBm: offset the sample point by another noise field, result in [-1, 1]
+  warped2D(x, y, strength = 4.0, octaves = 4) {
+    // Large constant offsets decorrelate the two warp channels
+    const warpX = this.fbm2D(x + 31.7, y + 47.3, 2);
+    const warpY = this.fbm2D(x - 83.1, y + 12.9, 2);
+
+    return this.fbm2D(x + warpX * strength, y + warpY * strength, octaves);
+  }
+}
+
+// Skew factors for 2D and 3D simplex grids
+const SIMPLEX_F2 = 0.5 * (Math.sqrt(3) - 1);
+const SIMPLEX_G2 = (3 - Math.sqrt(3)) / 6;
+const SIMPLEX_F3 = 1 / 3;
+const SIMPLEX_G3 = 1 / 6;
+
+// Gradient directions: midpoints of the edges of a cube
+const SIMPLEX_GRAD3 = [
+  [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+  [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+  [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]
+];
@@ -0,0 +1,26 @@
+// ores.js - Underground ore and stone-variety distribution
+//
+// Each entry places veins of one block into stone. Heights are world Y (the
+// range a vein may start in), veinsPerChunk is the average number of veins per
+// 16x16x16 section (fractions allowed) and veinSize is the number of blocks
+// along the vein's random walk.
+
+const OreDistribution = [
+  { block: 'GRAVEL', minHeight: -64, maxHeight: 96, veinsPerChunk: 1.5, veinSize: 28 },
+  { block: 'GRANITE', minHeight: -64, maxHeight: 96, veinsPerChunk: 1.5, veinSize: 32 },
+  { block: 'COAL_ORE', minHeight: 0, maxHeight: 160, veinsPerChunk: 5, veinSize: 14 },
+  { block: 'IRON_ORE', minHeight: -48, maxHeight: 64, veinsPerChunk: 3, veinSize: 9 },
+  { block: 'GOLD_ORE', minHeight: -64, maxHeight: 32, veinsPerChunk: 1, veinSize: 8 },
+  { block: 'DIAMOND_ORE', minHeight: -64, maxHeight: 16, veinsPerChunk: 0.5, veinSize: 6 }
+];
+
+// Combine a world's ore list with a biome's overrides. Biome entries replace
+// world entries for the same block, and entries for new blocks are added.
+function resolveOres(worldOres, biome) {
+  if (!biome || biome.ores.length === 0) {
+    return worldOres;
+  }
+
+  const overridden = new Set(biome.ores.map(ore => ore.block));
+  return worldOres.filter(ore => !overridden.has(ore.block)).concat(biome.ores);
+}
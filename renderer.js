@@ -33,8 +33,8 @@ class Renderer {
     this.chunkHeight = 32; // Vertical height of the chunk
     this.blockSize = 2.0;  // Size of each block
     
-    // Array to hold block types (0 = air, 1 = grass, 2 = dirt, 3 = stone, 4 = water, etc.)
-    this.blocks = new Array(this.chunkSize * this.chunkSize * this.chunkHeight).fill(0);
+    // Array to hold block types (numeric types from the block registry, see blocks.js)
+    this.blocks = new Array(this.chunkSize * this.chunkSize * this.chunkHeight).fill(Blocks.types.AIR);
     
     // Generate terrain using a simple heightmap
     for (let x = 0; x < this.chunkSize; x++) {
@@ -52,19 +52,19 @@ class Renderer {
           
           if (y === 0) {
             // Bedrock layer
-            this.blocks[index] = 5;
+            this.blocks[index] = Blocks.types.BEDROCK;
           } else if (y < height - 4) {
             // Stone layer
-            this.blocks[index] = 3;
+            this.blocks[index] = Blocks.types.STONE;
           } else if (y < height - 1) {
             // Dirt layer
-            this.blocks[index] = 2;
+            this.blocks[index] = Blocks.types.DIRT;
           } else if (y === height - 1) {
             // Grass layer (top)
-            this.blocks[index] = 1;
+            this.blocks[index] = Blocks.types.GRASS;
           } else if (y < 6 && height < 6) {
             // Water in low areas
-            this.blocks[index] = 4;
+            this.blocks[index] = Blocks.types.WATER;
           }
           // Everything else stays 0 (air)
         }
@@ -73,7 +73,7 @@ class Renderer {
         if (Math.random() < 0.05) {
           const stoneHeight = Math.floor(height + 1 + Math.random() * 3);
           for (let y = height; y < stoneHeight && y < this.chunkHeight; y++) {
-            this.blocks[this.getBlockIndex(x, y, z)] = 3;
+            this.blocks[this.getBlockIndex(x, y, z)] = Blocks.types.STONE;
           }
         }
         
@@ -90,7 +90,7 @@ class Renderer {
     const trunkHeight = 4 + Math.floor(Math.random() * 3);
     for (let treeY = 0; treeY < trunkHeight; treeY++) {
       if (y + treeY < this.chunkHeight) {
-        this.blocks[this.getBlockIndex(x, y + treeY, z)] = 6; // Wood
+        this.blocks[this.getBlockIndex(x, y + treeY, z)] = Blocks.types.WOOD;
       }
     }
     
@@ -117,8 +117,8 @@ class Renderer {
           if (distance <= leafSize + 0.5) {
             // Don't overwrite existing blocks (like the trunk)
             const index = this.getBlockIndex(leafX, leafY, leafZ);
-            if (this.blocks[index] === 0) {
-              this.blocks[index] = 7; // Leaves
+            if (this.blocks[index] === Blocks.types.AIR) {
+              this.blocks[index] = Blocks.types.LEAVES;
             }
           }
         }
@@ -132,7 +132,7 @@ class Renderer {
   
   getVisibleFaces(x, y, z) {
     // Check each of the 6 directions to see if that face is visible
-    // (i.e., if it's adjacent to an air block or the edge of the chunk)
+    // (i.e., if it's adjacent to a transparent block or the edge of the chunk)
     const faces = {
       px: false, // positive x face
       nx: false, // negative x face
@@ -143,32 +143,32 @@ class Renderer {
     };
     
     // Check +X face
-    if (x === this.chunkSize - 1 || this.getBlock(x + 1, y, z) === 0 || this.getBlock(x + 1, y, z) === 4) {
+    if (x === this.chunkSize - 1 || Blocks.isTransparent(this.getBlock(x + 1, y, z))) {
       faces.px = true;
     }
     
     // Check -X face
-    if (x === 0 || this.getBlock(x - 1, y, z) === 0 || this.getBlock(x - 1, y, z) === 4) {
+    if (x === 0 || Blocks.isTransparent(this.getBlock(x - 1, y, z))) {
       faces.nx = true;
     }
     
     // Check +Y face
-    if (y === this.chunkHeight - 1 || this.getBlock(x, y + 1, z) === 0 || this.getBlock(x, y + 1, z) === 4) {
+    if (y === this.chunkHeight - 1 || Blocks.isTransparent(this.getBlock(x, y + 1, z))) {
       faces.py = true;
     }
     
     // Check -Y face
-    if (y === 0 || this.getBlock(x, y - 1, z) === 0 || this.getBlock(x, y - 1, z) === 4) {
+    if (y === 0 || Blocks.isTransparent(this.getBlock(x, y - 1, z))) {
       faces.ny = true;
     }
     
     // Check +Z face
-    if (z === this.chunkSize - 1 || this.getBlock(x, y, z + 1) === 0 || this.getBlock(x, y, z + 1) === 4) {
+    if (z === this.chunkSize - 1 || Blocks.isTransparent(this.getBlock(x, y, z + 1))) {
       faces.pz = true;
     }
     
     // Check -Z face
-    if (z === 0 || this.getBlock(x, y, z - 1) === 0 || this.getBlock(x, y, z - 1) === 4) {
+    if (z === 0 || Blocks.isTransparent(this.getBlock(x, y, z - 1))) {
       faces.nz = true;
     }
     
@@ -179,7 +179,7 @@ class Renderer {
     if (x < 0 || x >= this.chunkSize || 
         y < 0 || y >= this.chunkHeight || 
         z < 0 || z >= this.chunkSize) {
-      return 0; // Treat out-of-bounds as air
+      return Blocks.types.AIR; // Treat out-of-bounds as air
     }
     
     return this.blocks[this.getBlockIndex(x, y, z)];
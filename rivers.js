@@ -0,0 +1,263 @@
+// rivers.js - River networks that drain the land into the sea
+//
+// The world is divided into cells of cellSize blocks, each with a node at a
+// random spot inside it. Every land node drains to the lowest of its eight
+// neighbours on a smooth drainage map (the biomes' typical heights plus gentle
+// noise) if that's lower than itself, so following the links always leads
+// downhill: into the water (the sea or a lake), or into a hollow with no way
+// out. A node whose path reaches the water and that collects the drainage of
+// at least minCatchment cells carries a river to its downhill neighbour, so
+// streams join into bigger rivers on their way to the sea.
+//
+// A river's surface at a node is a fraction of the node's drainage height
+// above the sea, which only falls along the path, and between two nodes it
+// blends from one to the other: water never steps up on its way downstream.
+// Everything follows from the seed and the cells near a column, so chunks get
+// the same rivers whatever order they're generated in.
+
+class RiverNetwork {
+  // terrain is the generator whose land the rivers drain: its biomeMap and
+  // getTerrainHeight(x, z, weights) are used
+  constructor(seed, terrain, options = {}) {
+    const { waterLevel = 62, cellSize = 96, minCatchment = 2, slope = 0.3 } = options;
+
+    this.seed = seed;
+    this.terrain = terrain;
+    this.waterLevel = waterLevel;
+    this.cellSize = cellSize;
+
+    // Cells a node has to drain (its own included) to carry a river
+    this.minCatchment = minCatchment;
+
+    // Fraction of a node's drainage height above the sea its river's surface keeps
+    this.slope = slope;
+
+    // Half-width in blocks of a river's channel: wider the more cells it drains
+    this.minWidth = 1.5;
+    this.maxWidth = 8;
+
+    // Downhill paths longer than this many nodes are taken to go nowhere
+    this.maxPathLength = 64;
+
+    // Noise for the drainage map, and for bending the straight runs between
+    // nodes into meanders (amplitude and frequency in blocks)
+    this.noise = new Noise(seed + 4000);
+    this.drainageNoiseScale = 1 / 700;
+    this.drainageNoiseHeight = 8;
+    this.meanderScale = 1 / 160;
+    this.meanderStrength = 24;
+
+    // Nodes and the river segments near each cell, oldest evicted first
+    this.nodes = new Map();
+    this.nodeCacheLimit = 16384;
+    this.segments = new Map();
+    this.segmentCacheLimit = 1024;
+  }
+
+  // The river nearest a column, as { distance, surface, width }: its distance
+  // in blocks from the middle of the channel, the height of its water and the
+  // channel's half-width. Null if no river comes within maxDistance.
+  getNearestRiver(x, z, maxDistance) {
+    // Bend the column's position rather than the rivers
+    const meanderX = this.noise.fbm2D(x * this.meanderScale, z * this.meanderScale, 2);
+    const meanderZ = this.noise.fbm2D(x * this.meanderScale + 57.1, z * this.meanderScale - 19.4, 2);
+    const px = x + meanderX * this.meanderStrength;
+    const pz = z + meanderZ * this.meanderStrength;
+
+    let nearest = null;
+    for (const segment of this.getSegmentsNear(Math.floor(px / this.cellSize), Math.floor(pz / this.cellSize))) {
+      // Closest point on the segment, as a fraction of the way downstream
+      const dx = segment.toX - segment.fromX;
+      const dz = segment.toZ - segment.fromZ;
+      const t = Math.max(0, Math.min(1, ((px - segment.fromX) * dx + (pz - segment.fromZ) * dz) / (dx * dx + dz * dz)));
+      const distance = Math.hypot(px - (segment.fromX + dx * t), pz - (segment.fromZ + dz * t));
+
+      if (distance < maxDistance && (!nearest || distance < nearest.distance)) {
+        nearest = {
+          distance,
+          surface: Math.floor(segment.fromSurface + (segment.toSurface - segment.fromSurface) * t),
+          width: segment.width
+        };
+      }
+    }
+    return nearest;
+  }
+
+  // River segments that can reach into a cell: those leaving nodes up to two
+  // cells away (a segment ends at a neighbour of its node, so it can't reach further)
+  getSegmentsNear(cellX, cellZ) {
+    const key = `${cellX},${cellZ}`;
+    let segments = this.segments.get(key);
+
+    if (!segments) {
+      segments = [];
+      for (let dx = -2; dx <= 2; dx++) {
+        for (let dz = -2; dz <= 2; dz++) {
+          const node = this.getNode(cellX + dx, cellZ + dz);
+          if (!this.hasRiver(node)) {
+            continue;
+          }
+
+          const downstream = this.getDownstream(node);
+          segments.push({
+            fromX: node.x,
+            fromZ: node.z,
+            toX: downstream.x,
+            toZ: downstream.z,
+            fromSurface: this.getSurface(node),
+            toSurface: this.getSurface(downstream),
+            width: Math.min(this.maxWidth, this.minWidth + Math.log2(this.getCatchment(node)))
+          });
+        }
+      }
+
+      this.segments.set(key, segments);
+      if (this.segments.size > this.segmentCacheLimit) {
+        this.segments.delete(this.segments.keys().next().value);
+      }
+    }
+
+    return segments;
+  }
+
+  // Get a cell's node (worked out on first use): where it is, its height on
+  // the drainage map and whether it's under water. Links to other nodes and
+  // what's worked out from them are filled in as they're needed.
+  getNode(cellX, cellZ) {
+    const key = `${cellX},${cellZ}`;
+    let node = this.nodes.get(key);
+
+    if (!node) {
+      const random = Noise.createRandom(`${this.seed}:river:${cellX}:${cellZ}`);
+      const x = (cellX + 0.15 + random() * 0.7) * this.cellSize;
+      const z = (cellZ + 0.15 + random() * 0.7) * this.cellSize;
+      const weights = this.terrain.biomeMap.getWeights(x, z);
+
+      let drainage = this.noise.fbm2D(x * this.drainageNoiseScale, z * this.drainageNoiseScale, 2) * this.drainageNoiseHeight;
+      let water = 0;
+      for (const { biome, weight } of weights) {
+        drainage += BiomeRegistry.sampleHeight(biome, 0.5) * weight;
+        water += biome.waterLevel * weight;
+      }
+
+      node = {
+        cellX,
+        cellZ,
+        x,
+        z,
+        drainage,
+        water: this.terrain.getTerrainHeight(x, z, weights) < water,
+        downstream: undefined,  // The neighbour it drains to, null if none (see getDownstream)
+        drains: undefined,      // Whether its path reaches the water (see drainsToWater)
+        catchment: undefined    // Cells it drains (see getCatchment)
+      };
+
+      this.nodes.set(key, node);
+      if (this.nodes.size > this.nodeCacheLimit) {
+        this.nodes.delete(this.nodes.keys().next().value);
+      }
+    }
+
+    return node;
+  }
+
+  // The lowest of a node's eight neighbours on the drainage map, if it's lower
+  // than the node (null if not, and for nodes under water, where paths end)
+  getDownstream(node) {
+    if (node.downstream === undefined) {
+      node.downstream = null;
+      if (!node.water) {
+        let lowest = node.drainage;
+        for (let dx = -1; dx <= 1; dx++) {
+          for (let dz = -1; dz <= 1; dz++) {
+            const neighbour = (dx !== 0 || dz !== 0) && this.getNode(node.cellX + dx, node.cellZ + dz);
+            if (neighbour && neighbour.drainage < lowest) {
+              lowest = neighbour.drainage;
+              node.downstream = { cellX: neighbour.cellX, cellZ: neighbour.cellZ };
+            }
+          }
+        }
+      }
+    }
+
+    // Linked by cell rather than by object, so evicted nodes can come back
+    return node.downstream && this.getNode(node.downstream.cellX, node.downstream.cellZ);
+  }
+
+  // Whether following a node's path downhill reaches the water
+  drainsToWater(node) {
+    if (node.drains === undefined) {
+      let current = node;
+      for (let step = 0; step < this.maxPathLength && current && !current.water; step++) {
+        current = this.getDownstream(current);
+      }
+      node.drains = Boolean(current && current.water);
+    }
+    return node.drains;
+  }
+
+  // How many cells drain through a node, its own included. Worked out
+  // upstream first with a stack of its own rather than by recursion, as a big
+  // basin can be more nodes deep than the call stack allows; each node keeps
+  // its count, so the basin is only walked once.
+  getCatchment(node) {
+    const stack = [{ node, upstream: null }];
+    while (stack.length > 0) {
+      const entry = stack[stack.length - 1];
+      if (entry.node.catchment !== undefined) {
+        stack.pop();
+        continue;
+      }
+
+      // Count the neighbours draining into the node first. They're held here
+      // rather than looked up again, in case the node cache lets them go.
+      if (!entry.upstream) {
+        entry.upstream = this.getUpstream(entry.node);
+        for (const upstream of entry.upstream) {
+          if (upstream.catchment === undefined) {
+            stack.push({ node: upstream, upstream: null });
+          }
+        }
+        continue;
+      }
+
+      entry.node.catchment = entry.upstream.reduce((catchment, upstream) => catchment + upstream.catchment, 1);
+      stack.pop();
+    }
+    return node.catchment;
+  }
+
+  // The neighbours that drain into a node and on to the water. They're higher
+  // up than it, so following them can't loop.
+  getUpstream(node) {
+    const upstream = [];
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        if (dx === 0 && dz === 0) {
+          continue;
+        }
+        const neighbour = this.getNode(node.cellX + dx, node.cellZ + dz);
+        const downstream = this.getDownstream(neighbour);
+        if (downstream && downstream.cellX === node.cellX && downstream.cellZ === node.cellZ &&
+            this.drainsToWater(neighbour)) {
+          upstream.push(neighbour);
+        }
+      }
+    }
+    return upstream;
+  }
+
+  // Whether a river runs from a node to its downstream neighbour
+  hasRiver(node) {
+    return !node.water && this.drainsToWater(node) && this.getCatchment(node) >= this.minCatchment;
+  }
+
+  // Height of a river's water at a node: the water's own level where it ends,
+  // and a fraction of the drainage height above that upstream
+  getSurface(node) {
+    if (node.water) {
+      return this.waterLevel;
+    }
+    return this.waterLevel + Math.floor(Math.max(0, node.drainage) * this.slope);
+  }
+}
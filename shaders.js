@@ -26,6 +26,147 @@ void main() {
 }
 `;
 
+// Chunk vertex shader: unpacks the vertex layout described in chunk.js.
+// aPosition is the position in 1/256 blocks (VERTEX_POSITION_SCALE) plus the
+// atlas tile index, aTilePosition the position on the tile in 1/256 tiles (it
+// runs past 1 on merged faces so the tile repeats), and aVertexData the face
+// and ambient occlusion level (face | ao << 3), light (sky << 4 | block; each
+// picks a brightness from uLightBrightness, sky light's dimmed by uSkyLight for
+// the time of day, and the brighter of the two wins) and alpha.
+// vTextureCoord hands the fragment shader the tile's corner (xy) and the
+// position on it (zw); vColor is the vertex's brightness and alpha.
+const chunkVertexShaderSource = `
+attribute vec4 aPosition;
+attribute vec2 aTilePosition;
+attribute vec4 aVertexData;
+
+uniform mat4 uModelViewMatrix;
+uniform mat4 uProjectionMatrix;
+uniform float uFaceShading[6];
+uniform float uAoBrightness[4];
+uniform float uLightBrightness[16];
+uniform float uSkyLight;
+uniform float uAtlasColumns;
+uniform float uAtlasCellSpan;
+uniform float uAtlasPadding;
+
+varying lowp vec4 vColor;
+varying highp vec4 vTextureCoord;
+
+void main() {
+  gl_Position = uProjectionMatrix * uModelViewMatrix * vec4(aPosition.xyz / 256.0, 1.0);
+
+  // The tile's cell in the atlas grid (the halves keep the division of whole
+  // numbers from landing just under one)
+  float row = floor((aPosition.w + 0.5) / uAtlasColumns);
+  vec2 cell = vec2(aPosition.w - row * uAtlasColumns, row);
+  vTextureCoord = vec4(cell * uAtlasCellSpan + uAtlasPadding, aTilePosition / 256.0);
+
+  float ao = floor((aVertexData.x + 0.5) / 8.0);
+  float face = aVertexData.x - ao * 8.0;
+  float skyLight = floor((aVertexData.y + 0.5) / 16.0);
+  float blockLight = aVertexData.y - skyLight * 16.0;
+  float light = max(uLightBrightness[int(skyLight)] * uSkyLight, uLightBrightness[int(blockLight)]);
+
+  float brightness = uFaceShading[int(face)] * uAoBrightness[int(ao)] * light;
+  vColor = vec4(vec3(brightness), aVertexData.z / 255.0);
+}
+`;
+
+// Chunk fragment shader: atlas texel tinted by the vertex colour. Wrapping the
+// tile position makes the texture coordinates jump at every tile edge, which
+// would make the GPU pick the smallest mipmap there; where the extensions are
+// available the mip level comes from the unwrapped coordinates instead.
+const chunkFragmentShaderSource = `
+#extension GL_OES_standard_derivatives : enable
+#extension GL_EXT_shader_texture_lod : enable
+precision mediump float;
+
+// Texture coordinates want highp to address single texels of a big atlas, but
+// not every device has it in fragment shaders
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+#define TEXCOORD_PRECISION highp
+#else
+#define TEXCOORD_PRECISION mediump
+#endif
+
+varying lowp vec4 vColor;
+varying TEXCOORD_PRECISION vec4 vTextureCoord;
+
+uniform sampler2D uAtlas;
+uniform float uTileSpan;
+
+void main() {
+  TEXCOORD_PRECISION vec2 uv = vTextureCoord.xy + fract(vTextureCoord.zw) * uTileSpan;
+
+#if defined(GL_OES_standard_derivatives) && defined(GL_EXT_shader_texture_lod)
+  TEXCOORD_PRECISION vec2 unwrapped = vTextureCoord.zw * uTileSpan;
+  vec4 texel = texture2DGradEXT(uAtlas, uv, dFdx(unwrapped), dFdy(unwrapped));
+#else
+  vec4 texel = texture2D(uAtlas, uv);
+#endif
+
+  // Cut-out pixels (gaps in leaves, around flowers)
+  if (texel.a < 0.5) {
+    discard;
+  }
+
+  gl_FragColor = vec4(texel.rgb * vColor.rgb, vColor.a);
+}
+`;
+
+// Sky shaders: a quad over the whole screen, drawn before the world. Each
+// pixel's view direction is rebuilt from the camera's axes (uFront, uRight,
+// uUp) and uViewSpan, the half-width and half-height of the view at distance 1;
+// the colour blends from uHorizonColor to uSkyColor as it looks up, with the
+// sun and moon as discs around their directions.
+const skyVertexShaderSource = `
+attribute vec2 aPosition;
+
+varying vec2 vScreen;
+
+void main() {
+  vScreen = aPosition;
+  gl_Position = vec4(aPosition, 0.0, 1.0);
+}
+`;
+
+const skyFragmentShaderSource = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+varying vec2 vScreen;
+
+uniform vec3 uFront;
+uniform vec3 uRight;
+uniform vec3 uUp;
+uniform vec2 uViewSpan;
+uniform vec3 uSkyColor;
+uniform vec3 uHorizonColor;
+uniform vec3 uSunDirection;
+uniform vec3 uMoonDirection;
+
+void main() {
+  vec3 direction = normalize(uFront + vScreen.x * uViewSpan.x * uRight + vScreen.y * uViewSpan.y * uUp);
+  vec3 color = mix(uHorizonColor, uSkyColor, smoothstep(-0.1, 0.4, direction.y));
+
+  // A glow around the sun, then the discs, which set below the horizon
+  float sun = dot(direction, uSunDirection);
+  color += vec3(1.0, 0.8, 0.5) * pow(max(sun, 0.0), 64.0) * 0.4;
+  if (direction.y > -0.05) {
+    if (sun > 0.9996) {
+      color = vec3(1.0, 0.95, 0.75);
+    } else if (dot(direction, uMoonDirection) > 0.9997) {
+      color = vec3(0.85, 0.87, 0.95);
+    }
+  }
+
+  gl_FragColor = vec4(color, 1.0);
+}
+`;
+
 // Compile shader
 function compileShader(gl, source, type) {
   const shader = gl.createShader(type);
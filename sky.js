@@ -0,0 +1,100 @@
+// sky.js - The world clock, and the sun, moon, sky colours and daylight that follow from it
+//
+// Time is counted in ticks, TICKS_PER_DAY to a day: 0 is sunrise, 6000 noon,
+// 12000 sunset and 18000 midnight. How long a day takes in real time is the
+// clock's dayLength, in seconds.
+
+const TICKS_PER_DAY = 24000;
+
+// Colour of the sky overhead and at the horizon, and daylight (how strongly
+// sky light lights the world, see the chunk shader), at points through the
+// day. Times in between blend the points either side; the last leads back
+// round into the first.
+const SKY_KEYFRAMES = [
+  { time: 0, sky: [0.45, 0.55, 0.8], horizon: [1.0, 0.6, 0.35], daylight: 0.6 },        // Sunrise
+  { time: 1500, sky: [0.5, 0.7, 1.0], horizon: [0.75, 0.85, 1.0], daylight: 1.0 },      // Day
+  { time: 10500, sky: [0.5, 0.7, 1.0], horizon: [0.75, 0.85, 1.0], daylight: 1.0 },
+  { time: 12000, sky: [0.4, 0.4, 0.65], horizon: [1.0, 0.5, 0.3], daylight: 0.6 },      // Sunset
+  { time: 13500, sky: [0.02, 0.03, 0.08], horizon: [0.05, 0.07, 0.15], daylight: 0.15 }, // Night
+  { time: 22500, sky: [0.02, 0.03, 0.08], horizon: [0.05, 0.07, 0.15], daylight: 0.15 }
+];
+
+class WorldClock {
+  constructor(time = 6000, dayLength = 1200) {
+    this.time = 6000;        // Ticks since the world began
+    this.dayLength = 1200;   // Seconds of real time a day takes
+    this.setTime(time);
+    this.setDayLength(dayLength);
+  }
+
+  // Set the time in ticks. Anything but a finite number would stop the clock
+  // or make the time NaN, so it's ignored (returns false).
+  setTime(time) {
+    if (!Number.isFinite(time)) {
+      console.warn(`Invalid world time ${time}, keeping ${this.time}`);
+      return false;
+    }
+    this.time = time;
+    return true;
+  }
+
+  // Set how many seconds of real time a day takes; it must be positive
+  setDayLength(dayLength) {
+    if (!Number.isFinite(dayLength) || dayLength <= 0) {
+      console.warn(`Invalid day length ${dayLength}, keeping ${this.dayLength} seconds`);
+      return false;
+    }
+    this.dayLength = dayLength;
+    return true;
+  }
+
+  // Run the clock on by some seconds of real time
+  advance(seconds) {
+    this.time += seconds * TICKS_PER_DAY / this.dayLength;
+  }
+
+  // Ticks into the current day, 0 to TICKS_PER_DAY
+  getTimeOfDay() {
+    return ((this.time % TICKS_PER_DAY) + TICKS_PER_DAY) % TICKS_PER_DAY;
+  }
+
+  // Time of day as a 24-hour "hh:mm" string (sunrise is 06:00)
+  getClockTime() {
+    const minutes = Math.floor((this.getTimeOfDay() / TICKS_PER_DAY * 24 + 6) * 60) % (24 * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  // Unit vector towards the sun: it rises in the east (+x), is overhead at
+  // noon and sets in the west, tilted a little to the south
+  getSunDirection() {
+    const angle = this.getTimeOfDay() / TICKS_PER_DAY * Math.PI * 2;
+    return vec3.normalize(vec3.create(), [Math.cos(angle), Math.sin(angle), 0.2]);
+  }
+
+  // The moon is always opposite the sun
+  getMoonDirection() {
+    const [x, y, z] = this.getSunDirection();
+    return [-x, -y, -z];
+  }
+
+  // Sky colour, horizon colour and daylight at the current time of day, as
+  // { sky, horizon, daylight }
+  getSky() {
+    const time = this.getTimeOfDay();
+    let index = SKY_KEYFRAMES.length - 1;
+    while (index > 0 && SKY_KEYFRAMES[index].time > time) {
+      index--;
+    }
+
+    const from = SKY_KEYFRAMES[index];
+    const to = SKY_KEYFRAMES[(index + 1) % SKY_KEYFRAMES.length];
+    const span = ((to.time - from.time) + TICKS_PER_DAY) % TICKS_PER_DAY;
+    const t = (time - from.time) / span;
+    const mix = (a, b) => a + (b - a) * t;
+    return {
+      sky: from.sky.map((value, i) => mix(value, to.sky[i])),
+      horizon: from.horizon.map((value, i) => mix(value, to.horizon[i])),
+      daylight: mix(from.daylight, to.daylight)
+    };
+  }
+}
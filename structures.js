@@ -0,0 +1,222 @@
+// structures.js - Multi-block structure templates (villages, dungeons, ruins...)
+//
+// A template is a palette plus voxel layers, written so it can be authored as JSON:
+//
+//   {
+//     "id": "well",
+//     "palette": { "S": "STONE", "W": "WATER", " ": "AIR" },
+//     "layers": [            // bottom to top
+//       ["SSS", "SWS", "SSS"], // rows along z, one character per block along x
+//       ...
+//     ],
+//     "placement": { "biomes": ["plains"], "spacing": 12, ... }
+//   }
+//
+// Characters missing from the palette (by convention '.') leave the terrain
+// untouched. Instead of layers, a template can list "pieces" - other templates
+// placed at an offset - to build composites such as villages.
+
+class StructureTemplate {
+  constructor(definition) {
+    this.id = definition.id;
+    this.name = definition.name || definition.id;
+    this.palette = definition.palette || {};
+    this.layers = definition.layers || [];
+    this.pieces = definition.pieces || [];
+
+    // Placement rules, with defaults for anything left out
+    this.placement = Object.assign({
+      biomes: [],          // Biome ids the structure may start in (empty = any)
+      spacing: 16,         // Region size in chunks; at most one start per region
+      separation: 4,       // Minimum gap in chunks between starts in neighbouring regions
+      chance: 1.0,         // Chance that a region gets a start at all
+      terrain: 'surface',  // 'surface' sits on the ground, 'underground' is buried
+      minY: -48,           // Height range for underground structures
+      maxY: 32,
+      offsetY: 0,          // Shift relative to the ground (negative sinks it)
+      foundation: null     // Block used to fill gaps between the bottom layer and the ground
+    }, definition.placement);
+
+    // Blocks as a flat list of [x, y, z, blockName] (template space, void cells skipped)
+    this.blocks = [];
+    for (let y = 0; y < this.layers.length; y++) {
+      const rows = this.layers[y];
+      for (let z = 0; z < rows.length; z++) {
+        for (let x = 0; x < rows[z].length; x++) {
+          const blockName = this.palette[rows[z][x]];
+          if (blockName) {
+            this.blocks.push([x, y, z, blockName]);
+          }
+        }
+      }
+    }
+  }
+
+  // Map a template-space (x, z) offset through a rotation (quarter turns) and optional mirror
+  static transform(x, z, rotation, mirror) {
+    if (mirror) {
+      x = -x;
+    }
+
+    switch (rotation & 3) {
+      case 1: return [-z, x];
+      case 2: return [-x, -z];
+      case 3: return [z, -x];
+      default: return [x, z];
+    }
+  }
+}
+
+class StructureRegistry {
+  constructor() {
+    this.structures = [];           // Registration order, used for iteration
+    this.structuresById = new Map(); // Structure id -> template
+  }
+
+  // Register a structure definition (see the format above)
+  register(definition) {
+    if (this.structuresById.has(definition.id)) {
+      console.warn(`Structure "${definition.id}" is already registered, replacing it`);
+      this.structures = this.structures.filter(structure => structure.id !== definition.id);
+    }
+
+    const template = new StructureTemplate(definition);
+    this.structures.push(template);
+    this.structuresById.set(template.id, template);
+    return template;
+  }
+
+  // Register every definition in a JSON string or already-parsed array
+  load(json) {
+    const definitions = typeof json === 'string' ? JSON.parse(json) : json;
+    return definitions.map(definition => this.register(definition));
+  }
+
+  // Get a structure by id
+  get(id) {
+    return this.structuresById.get(id);
+  }
+
+  // Get every registered structure
+  getAll() {
+    return this.structures;
+  }
+
+  // Get the structures that can start on their own (pieces with spacing 0 only appear inside composites)
+  getPlaceable() {
+    return this.structures.filter(structure => structure.placement.spacing > 0);
+  }
+
+  // Furthest a structure reaches from its origin, in blocks (pieces included)
+  getReach(template) {
+    let reach = 0;
+
+    for (const [x, , z] of template.blocks) {
+      reach = Math.max(reach, Math.abs(x), Math.abs(z));
+    }
+
+    for (const piece of template.pieces) {
+      const child = this.get(piece.template);
+      const [offsetX, , offsetZ] = piece.offset;
+      reach = Math.max(reach, Math.abs(offsetX) + this.getReach(child), Math.abs(offsetZ) + this.getReach(child));
+    }
+
+    return reach;
+  }
+}
+
+// Default structure set
+const Structures = new StructureRegistry();
+
+Structures.register({
+  id: 'well',
+  name: 'Well',
+  palette: { 'S': 'STONE', 'W': 'WATER', 'P': 'WOOD', ' ': 'AIR' },
+  layers: [
+    ['SSSSS', 'SWWWS', 'SWWWS', 'SWWWS', 'SSSSS'],
+    ['SSSSS', 'S   S', 'S   S', 'S   S', 'SSSSS'],
+    ['P   P', '     ', '     ', '     ', 'P   P'],
+    ['P   P', '     ', '     ', '     ', 'P   P'],
+    ['PPPPP', 'PPPPP', 'PPPPP', 'PPPPP', 'PPPPP']
+  ],
+  placement: {
+    spacing: 0,  // Only placed as part of a village
+    offsetY: -1,
+    foundation: 'STONE'
+  }
+});
+
+Structures.register({
+  id: 'house',
+  name: 'House',
+  palette: { 'S': 'STONE', 'P': 'WOOD', 'L': 'LEAVES', ' ': 'AIR' },
+  layers: [
+    ['SSSSSSS', 'SSSSSSS', 'SSSSSSS', 'SSSSSSS', 'SSSSSSS'],
+    ['PPPPPPP', 'P     P', 'P     P', 'P     P', 'PPP PPP'],
+    ['PP P PP', 'P     P', '       ', 'P     P', 'PPP PPP'],
+    ['PPPPPPP', 'P     P', 'P     P', 'P     P', 'PPPPPPP'],
+    ['LLLLLLL', 'LPPPPPL', 'LPPPPPL', 'LPPPPPL', 'LLLLLLL'],
+    ['.......', '.LLLLL.', '.LLLLL.', '.LLLLL.', '.......']
+  ],
+  placement: {
+    spacing: 0,  // Only placed as part of a village
+    foundation: 'DIRT'
+  }
+});
+
+Structures.register({
+  id: 'village',
+  name: 'Village',
+  pieces: [
+    { template: 'well', offset: [-2, 0, -2] },
+    { template: 'house', offset: [-12, 0, -3] },
+    { template: 'house', offset: [6, 0, -3] },
+    { template: 'house', offset: [-3, 0, 7] },
+    { template: 'house', offset: [-3, 0, -13] }
+  ],
+  placement: {
+    biomes: ['plains', 'desert', 'forest'],
+    spacing: 24,
+    separation: 8,
+    chance: 0.7
+  }
+});
+
+Structures.register({
+  id: 'ruin',
+  name: 'Ruin',
+  palette: { 'S': 'STONE', 'G': 'GRANITE', 'V': 'GRAVEL' },
+  layers: [
+    ['SGSSGSS', 'S.....G', 'G..V..S', 'S.VVV.S', 'S..V..G', 'G.....S', 'SSGSS.S'],
+    ['S.SSG.S', 'S.....G', '.......', 'S.....S', 'G.....G', '.......', 'SS.S..S'],
+    ['S...G..', '......G', '.......', '.......', '.......', '.......', 'S..S...']
+  ],
+  placement: {
+    biomes: ['plains', 'forest', 'tundra', 'mountains'],
+    spacing: 10,
+    separation: 3,
+    chance: 0.6,
+    foundation: 'STONE'
+  }
+});
+
+Structures.register({
+  id: 'dungeon',
+  name: 'Dungeon',
+  palette: { 'G': 'GRANITE', 'V': 'GRAVEL', 'C': 'COAL_ORE', 'D': 'DIAMOND_ORE', ' ': 'AIR' },
+  layers: [
+    ['GGGGGGG', 'GVVVVVG', 'GVVVVVG', 'GVVVVVG', 'GVVVVVG', 'GVVVVVG', 'GGGGGGG'],
+    ['GGGGGGG', 'GC   CG', 'G     G', 'G  D  G', 'G     G', 'GC   CG', 'GGGGGGG'],
+    ['GGGGGGG', 'G     G', 'G     G', 'G     G', 'G     G', 'G     G', 'GGGGGGG'],
+    ['GGGGGGG', 'G     G', 'G     G', 'G     G', 'G     G', 'G     G', 'GGGGGGG'],
+    ['GGGGGGG', 'GGGGGGG', 'GGGGGGG', 'GGGGGGG', 'GGGGGGG', 'GGGGGGG', 'GGGGGGG']
+  ],
+  placement: {
+    terrain: 'underground',
+    spacing: 4,
+    separation: 1,
+    chance: 0.5,
+    minY: -48,
+    maxY: 24
+  }
+});
@@ -0,0 +1,55 @@
+// Frustum planes from a projection * view matrix, and boxes tested against them
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+loadScripts('utils.js');
+
+// A camera at (10, 5, 3) looking along +x, with a square 90 degree view from
+// 1 to 100 blocks away: every side plane is at 45 degrees to the view direction
+function createPlanes() {
+  const projection = mat4.perspective(mat4.create(), Math.PI / 2, 1, 1, 100);
+  const view = mat4.lookAt(mat4.create(), [10, 5, 3], [11, 5, 3], [0, 1, 0]);
+  return frustum.fromMatrix(frustum.create(), mat4.multiply(mat4.create(), projection, view));
+}
+
+test('fromMatrix extracts the six normalised planes, pointing inwards', () => {
+  const planes = createPlanes();
+  const half = Math.SQRT1_2;
+  const expected = [
+    [half, 0, half, -13 * half],   // Left: the camera's right is +z
+    [half, 0, -half, -7 * half],   // Right
+    [half, half, 0, -15 * half],   // Bottom
+    [half, -half, 0, -5 * half],   // Top
+    [1, 0, 0, -11],                // Near, 1 block ahead
+    [-1, 0, 0, 110]                // Far, 100 blocks ahead
+  ];
+
+  for (let i = 0; i < 6; i++) {
+    const plane = Array.from(planes.subarray(i * 4, i * 4 + 4));
+    for (let j = 0; j < 4; j++) {
+      // The matrices are 32-bit floats, so allow for their rounding
+      assert.ok(Math.abs(plane[j] - expected[i][j]) < 1e-5 * Math.max(1, Math.abs(expected[i][j])), `plane ${i} is ${plane}, expected ${expected[i]}`);
+    }
+    assert.ok(Math.abs(Math.hypot(plane[0], plane[1], plane[2]) - 1) < 1e-5, `plane ${i} isn't normalised`);
+  }
+});
+
+test('intersectsBox keeps boxes in front and ones straddling a plane', () => {
+  const planes = createPlanes();
+  assert.strictEqual(frustum.intersectsBox(planes, [20, 4, 2], [21, 6, 4]), true);
+  assert.strictEqual(frustum.intersectsBox(planes, [19, 4, -9], [21, 6, -5]), true);   // Across the left plane
+  assert.strictEqual(frustum.intersectsBox(planes, [10.5, 4, 2], [11.5, 6, 4]), true); // Across the near plane
+  assert.strictEqual(frustum.intersectsBox(planes, [105, 4, 2], [115, 6, 4]), true);   // Across the far plane
+  assert.strictEqual(frustum.intersectsBox(planes, [0, -100, -100], [200, 100, 100]), true); // Around the whole frustum
+});
+
+test('intersectsBox rejects boxes behind, beside and past the far plane', () => {
+  const planes = createPlanes();
+  assert.strictEqual(frustum.intersectsBox(planes, [0, 4, 2], [9, 6, 4]), false);      // Behind
+  assert.strictEqual(frustum.intersectsBox(planes, [10, 4, 2], [10.5, 6, 4]), false);  // Between the camera and the near plane
+  assert.strictEqual(frustum.intersectsBox(planes, [19, 4, -20], [21, 6, -15]), false); // Off to the left
+  assert.strictEqual(frustum.intersectsBox(planes, [19, 30, 2], [21, 40, 4]), false);   // Above
+  assert.strictEqual(frustum.intersectsBox(planes, [111, 4, 2], [112, 6, 4]), false);   // Past the far plane
+});
@@ -0,0 +1,38 @@
+// Picking a world generator by name or superflat preset
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+loadScripts('utils.js', 'models.js', 'blocks.js', 'noise.js', 'textures.js', 'biomes.js',
+  'ores.js', 'caves.js', 'rivers.js', 'generators.js', 'chunk.js');
+
+test('names only pick the generators in WorldGenerators', () => {
+  assert.ok(createWorldGenerator('flat', 1) instanceof FlatGenerator);
+  for (const name of ['constructor', 'toString', 'hasOwnProperty']) {
+    assert.ok(createWorldGenerator(name, 1) instanceof DefaultGenerator, name);
+  }
+});
+
+test('any other name is tried as a superflat preset, down to a single layer', () => {
+  const generator = createWorldGenerator('gravel', 1);
+  assert.ok(generator instanceof FlatGenerator);
+  assert.deepStrictEqual(generator.layers, [{ block: 'GRAVEL', count: 1 }]);
+
+  assert.ok(createWorldGenerator('not_a_block', 1) instanceof DefaultGenerator);
+});
+
+test('preset layers are checked against the registry chunks are written with', () => {
+  const registry = new BlockRegistry();
+  registry.load([{ id: 'AIR', solid: false, transparent: true }, { id: 'MARBLE' }]);
+
+  const generator = createWorldGenerator('2*marble', 1, { blocks: registry });
+  assert.ok(generator instanceof FlatGenerator);
+  const chunk = new Chunk(16, registry);
+  generator.generateChunk(chunk, 0, -4, 0);
+  assert.strictEqual(chunk.getBlock(0, 1, 0), registry.types.MARBLE);
+
+  // Stone is a built-in block, but not one this registry has
+  assert.strictEqual(FlatGenerator.fromPreset('stone', 1, { blocks: registry }), null);
+  assert.strictEqual(FlatGenerator.fromPreset('marble', 1), null);
+});
@@ -0,0 +1,29 @@
+// Blocks registered after the world was created light it like any other
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createFakeGl } = require('./load-scripts');
+
+loadScripts('utils.js', 'models.js', 'blocks.js', 'noise.js', 'textures.js', 'biomes.js', 'features.js',
+  'ores.js', 'caves.js', 'rivers.js', 'structures.js', 'generators.js', 'chunk.js', 'lighting.js', 'sky.js', 'world.js');
+
+test('blocks registered after the world was created give off and stop light', () => {
+  const world = new World(createFakeGl(), 1, { generator: 'flat', seed: 1 });
+  world.init({ uniformLocations: {}, attribLocations: {} });
+  for (let i = 0; i < 20; i++) {
+    world.updateChunks([8, -50, 8]);
+  }
+
+  const lamp = Blocks.register({ id: 'TEST_LAMP', lightEmission: 15 });
+  const tinted = Blocks.register({ id: 'TEST_TINTED_GLASS', transparent: true, lightOpacity: 4 });
+
+  // Air above the ground, lit by the sky
+  assert.deepStrictEqual(world.getLight(8, -41, 8), { sky: 15, block: 0 });
+
+  world.setBlock(4, -55, 4, lamp.type);
+  assert.strictEqual(world.getLight(5, -55, 4).block, 14);
+
+  // Light going into the glass, from above or the sides, loses 1 + 4 levels
+  world.setBlock(8, -40, 8, tinted.type);
+  assert.strictEqual(world.getLight(8, -40, 8).sky, 10);
+});
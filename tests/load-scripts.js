@@ -0,0 +1,30 @@
+// load-scripts.js - Loads the game's scripts for the tests
+//
+// The scripts are plain browser scripts sharing globals, so like
+// chunk-worker.js this runs them in Node's global scope, where the tests can
+// use them as the page does. Worlds get a stand-in WebGL context. Run the
+// tests from the repository root with `node --test`.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const loadedScripts = new Set();
+
+function loadScripts(...scripts) {
+  for (const script of scripts) {
+    if (!loadedScripts.has(script)) {
+      loadedScripts.add(script);
+      vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', script), 'utf8'), { filename: script });
+    }
+  }
+}
+
+// WebGL stand-in: constants are 1 and every call returns an empty object
+function createFakeGl() {
+  return new Proxy({}, {
+    get: (target, name) => typeof name === 'string' && name === name.toUpperCase() ? 1 : () => ({})
+  });
+}
+
+module.exports = { loadScripts, createFakeGl };
@@ -0,0 +1,166 @@
+// Greedy and naive meshing must draw the same surface: the quads of both
+// meshes are cut into unit cells per face direction, and every cell has to be
+// in both, with the same tile, occlusion and light.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+loadScripts('utils.js', 'models.js', 'blocks.js', 'noise.js', 'chunk.js');
+
+// Atlas stand-in: any fixed tile index per texture name will do
+const tileLookup = { getTileIndex: name => Noise.hashSeed(name) & 0xffff };
+
+// The surface a packed mesh draws, as a map from "face layer u v" (a unit
+// cell of a face direction's layer) to what's drawn there. Quads that don't
+// cover whole cells (model boxes, plants) and faces with uneven occlusion,
+// which the greedy pass leaves alone, are kept whole, vertices and all.
+function getSurface(mesh) {
+  const shorts = new Uint16Array(mesh.vertices.buffer, mesh.vertices.byteOffset, mesh.vertexCount * VERTEX_SIZE / 2);
+  const bytes = mesh.vertices;
+  const surface = new Map();
+  const add = (key, value) => surface.set(key, (surface.get(key) || []).concat(value).sort());
+
+  for (let first = 0; first < mesh.vertexCount; first += 4) {
+    const corners = [];
+    for (let v = first; v < first + 4; v++) {
+      const short = v * VERTEX_SIZE / 2;
+      const byte = v * VERTEX_SIZE;
+      corners.push({
+        position: [0, 1, 2].map(axis => shorts[short + axis] / VERTEX_POSITION_SCALE),
+        tile: shorts[short + 3],
+        face: bytes[byte + 12] & 7,
+        ao: bytes[byte + 12] >> 3,
+        light: bytes[byte + 13],
+        alpha: bytes[byte + 14]
+      });
+    }
+
+    const { face, tile, ao, light, alpha } = corners[0];
+    const d = FACE_AXES[face];
+    const a = (d + 1) % 3;
+    const b = (d + 2) % 3;
+    const min = [0, 1, 2].map(axis => Math.min(...corners.map(corner => corner.position[axis])));
+    const max = [0, 1, 2].map(axis => Math.max(...corners.map(corner => corner.position[axis])));
+    const wholeCells = min[d] === max[d] && min.concat(max).every(Number.isInteger) &&
+      corners.every(corner => corner.ao === ao && corner.tile === tile && corner.light === light);
+    if (!wholeCells) {
+      add(`quad ${Array.from(bytes.subarray(first * VERTEX_SIZE, (first + 4) * VERTEX_SIZE)).join(',')}`, '');
+      continue;
+    }
+
+    for (let u = min[a]; u < max[a]; u++) {
+      for (let v = min[b]; v < max[b]; v++) {
+        add(`${face} ${min[d]} ${u} ${v}`, `tile ${tile} ao ${ao} light ${light} alpha ${alpha}`);
+      }
+    }
+  }
+  return surface;
+}
+
+// A chunk filled by pick(random, x, y, z) -> [block id, state] (or null for
+// air), lit in bands so there are both runs of equal light and changes in it
+function createChunk(seed, pick) {
+  const chunk = new Chunk(16, Blocks);
+  const random = Noise.createRandom(seed);
+  for (let x = 0; x < chunk.size; x++) {
+    for (let y = 0; y < chunk.size; y++) {
+      for (let z = 0; z < chunk.size; z++) {
+        const picked = pick(random, x, y, z);
+        if (picked) {
+          chunk.setBlock(x, y, z, Blocks.types[picked[0]], picked[1] || 0);
+        }
+        const index = x + y * chunk.size + z * chunk.size * chunk.size;
+        chunk.light[index] = (15 - (y >> 2)) << 4 | (x >> 3) * 7;
+      }
+    }
+  }
+  return chunk;
+}
+
+const CUBES = ['STONE', 'DIRT', 'GRASS', 'WOOD', 'LEAVES', 'SAND', 'GOLD_ORE'];
+const MODELS = ['STONE_SLAB', 'STONE_STAIRS', 'FENCE', 'TORCH', 'FLOWER', 'TALL_GRASS', 'WATER'];
+
+const fills = {
+  random: (random) => random() < 0.5 ? null : [CUBES[Math.floor(random() * CUBES.length)]],
+  checkerboard: (random, x, y, z) => (x + y + z) % 2 === 0 ? ['STONE'] : null,
+  terrain: (random, x, y, z) => y < 6 + ((x * 7 + z * 3) % 5) ? [y < 4 ? 'STONE' : 'DIRT'] : null,
+  mixed: (random, x, y) => {
+    const roll = random();
+    if (roll < 0.35) {
+      return null;
+    }
+    if (roll < 0.7 || y < 3) {
+      return [CUBES[Math.floor(random() * CUBES.length)]];
+    }
+    const id = MODELS[Math.floor(random() * MODELS.length)];
+    return [id, Math.floor(random() * Blocks.get(id).stateCount)];
+  }
+};
+
+for (const [name, pick] of Object.entries(fills)) {
+  for (const ambientOcclusion of [true, false]) {
+    test(`greedy and naive meshes cover the same cells: ${name} fill, ambient occlusion ${ambientOcclusion ? 'on' : 'off'}`, () => {
+      // Neighbours filled the same way, so the borders are culled and occluded too
+      const chunks = new Map();
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dz = -1; dz <= 1; dz++) {
+            chunks.set(`${dx},${dy},${dz}`, createChunk(`${name}:${dx},${dy},${dz}`, pick));
+          }
+        }
+      }
+      const chunk = chunks.get('0,0,0');
+      const neighbours = (dx, dy, dz) => chunks.get(`${dx},${dy},${dz}`);
+
+      const greedy = chunk.buildMesh(tileLookup, { greedy: true, neighbours, ambientOcclusion });
+      const naive = chunk.buildMesh(tileLookup, { greedy: false, neighbours, ambientOcclusion });
+      for (const part of ['opaque', 'translucent']) {
+        assert.ok(greedy[part].vertexCount <= naive[part].vertexCount);
+        assert.deepStrictEqual(getSurface(greedy[part]), getSurface(naive[part]), `${part} surfaces differ`);
+      }
+    });
+  }
+}
+
+test('greedy meshing merges the faces of a solid chunk', () => {
+  const chunk = createChunk('solid', () => ['STONE']);
+  const greedy = chunk.buildMesh(tileLookup, { greedy: true });
+  const naive = chunk.buildMesh(tileLookup, { greedy: false });
+  assert.deepStrictEqual(getSurface(greedy.opaque), getSurface(naive.opaque));
+
+  // With nothing around it every side is in full daylight, so one quad each
+  assert.strictEqual(greedy.opaque.vertexCount / 4, 6);
+  assert.strictEqual(naive.opaque.vertexCount / 4, 6 * 16 * 16);
+});
+
+// Quads drawn for blocks placed in an empty chunk, as [id, properties, x, y, z]
+function countQuads(placed) {
+  const chunk = new Chunk(16, Blocks);
+  for (const [id, properties, x, y, z] of placed) {
+    const block = Blocks.get(id);
+    chunk.setBlock(x, y, z, block.type, BlockRegistry.encodeState(block, properties));
+  }
+  const mesh = chunk.buildMesh(tileLookup, { greedy: true });
+  return (mesh.opaque.vertexCount + mesh.translucent.vertexCount) / 4;
+}
+
+test('partial faces are hidden by neighbours that cover them', () => {
+  const bottom = { half: 'bottom' };
+  const top = { half: 'top' };
+  const stairs = { facing: 'south', half: 'bottom' };
+  const slab = countQuads([['STONE_SLAB', bottom, 4, 4, 4]]);
+  const stair = countQuads([['STONE_STAIRS', stairs, 4, 4, 4]]);
+
+  // Slab against slab: both faces between them go
+  assert.strictEqual(countQuads([['STONE_SLAB', bottom, 4, 4, 4], ['STONE_SLAB', bottom, 5, 4, 4]]), 2 * slab - 2);
+
+  // A bottom slab and a top slab don't overlap, so nothing is hidden
+  assert.strictEqual(countQuads([['STONE_SLAB', bottom, 4, 4, 4], ['STONE_SLAB', top, 5, 4, 4]]), 2 * slab);
+
+  // Side by side, each stair's two faces there are covered by the other's
+  assert.strictEqual(countQuads([['STONE_STAIRS', stairs, 4, 4, 4], ['STONE_STAIRS', stairs, 5, 4, 4]]), 2 * stair - 4);
+
+  // A slab beside a stair hides the stair's lower face, and the stair all of the slab's
+  assert.strictEqual(countQuads([['STONE_SLAB', bottom, 4, 4, 4], ['STONE_STAIRS', stairs, 5, 4, 4]]), slab + stair - 2);
+});
@@ -0,0 +1,33 @@
+// The world clock keeps running whatever it's set to
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+loadScripts('utils.js', 'sky.js');
+
+test('the clock runs a day in dayLength seconds', () => {
+  const clock = new WorldClock(0, 60);
+  clock.advance(30);
+  assert.strictEqual(clock.time, TICKS_PER_DAY / 2);
+  assert.strictEqual(clock.getClockTime(), '18:00');
+});
+
+test('times and day lengths that would stop the clock are ignored', () => {
+  const clock = new WorldClock(NaN, 0);
+  assert.strictEqual(clock.time, 6000);
+  assert.strictEqual(clock.dayLength, 1200);
+
+  for (const time of [NaN, Infinity, -Infinity, '100', null, undefined]) {
+    assert.strictEqual(clock.setTime(time), false, String(time));
+  }
+  for (const dayLength of [0, -60, NaN, Infinity, '60']) {
+    assert.strictEqual(clock.setDayLength(dayLength), false, String(dayLength));
+  }
+  assert.strictEqual(clock.time, 6000);
+  assert.strictEqual(clock.dayLength, 1200);
+
+  assert.strictEqual(clock.setTime(-500), true);
+  clock.advance(1);
+  assert.strictEqual(clock.time, -480);
+});
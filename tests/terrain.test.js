@@ -0,0 +1,78 @@
+// River networks and erosion in the default generator
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+loadScripts('utils.js', 'models.js', 'blocks.js', 'noise.js', 'textures.js', 'biomes.js',
+  'ores.js', 'caves.js', 'rivers.js', 'generators.js');
+
+test('catchments of basins deeper than the call stack are counted', () => {
+  // A river running down a single row of cells into the sea at cell 0, with
+  // water to either side, so each cell drains the whole row above it
+  const depth = 100000;
+  const network = new RiverNetwork(1, null);
+  const nodes = new Map();
+  network.getNode = (cellX, cellZ) => {
+    const key = `${cellX},${cellZ}`;
+    if (!nodes.has(key)) {
+      nodes.set(key, {
+        cellX,
+        cellZ,
+        drainage: cellZ === 0 ? cellX : depth * 10,
+        water: cellZ !== 0 || cellX <= 0 || cellX > depth
+      });
+    }
+    return nodes.get(key);
+  };
+  network.drainsToWater = () => true;
+
+  assert.strictEqual(network.getCatchment(network.getNode(1, 0)), depth);
+  assert.strictEqual(network.getNode(depth / 2, 0).catchment, depth / 2 + 1);
+});
+
+test('rivers never run uphill', () => {
+  const generator = new DefaultGenerator(11);
+  const network = generator.riverNetwork;
+  let rivers = 0;
+  for (let cellX = -10; cellX < 10; cellX++) {
+    for (let cellZ = -10; cellZ < 10; cellZ++) {
+      const node = network.getNode(cellX, cellZ);
+      if (!network.hasRiver(node)) {
+        continue;
+      }
+      rivers++;
+
+      const downstream = network.getDownstream(node);
+      assert.ok(network.getSurface(downstream) <= network.getSurface(node), `river at ${cellX},${cellZ} runs uphill`);
+      assert.ok(downstream.water || network.hasRiver(downstream), `river at ${cellX},${cellZ} stops short of the water`);
+    }
+  }
+  assert.ok(rivers > 0, 'no rivers to check');
+});
+
+test('erosion wears down steep ground without seams between chunk columns', () => {
+  const generator = new DefaultGenerator(3);
+  const raw = new DefaultGenerator(3, { erosion: 0 });
+
+  // The same area eroded as one 32-wide chunk column and as four 16-wide ones
+  const whole = generator.getChunkHeights(0, 0, 32);
+  let changed = 0;
+  for (let z = 0; z < 32; z++) {
+    for (let x = 0; x < 32; x++) {
+      const part = generator.getChunkHeights(x >> 4, z >> 4, 16)[(x & 15) + (z & 15) * 16];
+      assert.ok(Math.abs(whole[x + z * 32] - part) < 1e-9, `heights differ at ${x},${z}`);
+      if (Math.abs(part - raw.getTerrainHeight(x, z)) > 1e-9) {
+        changed++;
+      }
+    }
+  }
+  assert.ok(changed > 0, 'nothing was eroded');
+
+  // Ground is only moved around, not lost
+  const span = 24;
+  const heights = Float64Array.from({ length: span * span }, (_, i) => (i % 7) * 3 + (i % 5));
+  const eroded = generator.erodeHeights(heights, span);
+  const sum = values => values.reduce((total, value) => total + value, 0);
+  assert.ok(Math.abs(sum(eroded) - sum(heights)) < 1e-6);
+});
@@ -0,0 +1,100 @@
+// The worker pool on real worker_threads running chunk-worker.js: jobs
+// finish, jobs that throw fail, and crashed workers are replaced
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { loadScripts } = require('./load-scripts');
+
+loadScripts('utils.js', 'models.js', 'blocks.js', 'worker-pool.js');
+
+const CHUNK_WORKER = path.join(__dirname, '..', 'chunk-worker.js');
+
+// Start a pool and send its workers what they need for a flat world
+function createPool(size, createWorker = () => new Worker(CHUNK_WORKER)) {
+  const pool = new ChunkWorkerPool(size, createWorker);
+  pool.broadcast({
+    type: 'init',
+    blocks: Blocks.getAll(),
+    tiles: null,
+    generator: { type: 'flat', seed: 1, options: {} }
+  });
+  return pool;
+}
+
+// Run a job, resolving with { data } when it's done or { error } when it fails
+function runJob(pool, message) {
+  return new Promise(resolve => {
+    pool.run(message, [], data => resolve({ data }), error => resolve({ error }));
+  });
+}
+
+// The bottom section of the flat world, whose lowest layer is stone
+const GENERATE = { type: 'generate', chunkX: 0, chunkY: -4, chunkZ: 0, size: 16 };
+
+test('generate jobs come back with the chunk\'s blocks', async () => {
+  const pool = createPool(1);
+  try {
+    const { data, error } = await runJob(pool, GENERATE);
+    assert.strictEqual(error, undefined);
+    assert.strictEqual(data.blocks.length, 16 * 16 * 16);
+    assert.strictEqual(data.blocks[0], Blocks.types.STONE);
+    assert.strictEqual(pool.pendingJobs, 0);
+  } finally {
+    pool.terminate();
+  }
+});
+
+test('a job that throws fails, and the worker carries on', async () => {
+  const pool = createPool(1);
+  try {
+    const { error } = await runJob(pool, { type: 'bogus' });
+    assert.match(error, /Unknown job type "bogus"/);
+
+    const { data } = await runJob(pool, GENERATE);
+    assert.strictEqual(data.blocks[0], Blocks.types.STONE);
+    assert.strictEqual(pool.pendingJobs, 0);
+  } finally {
+    pool.terminate();
+  }
+});
+
+test('a failed init fails the jobs sent after it', async () => {
+  const pool = new ChunkWorkerPool(1, () => new Worker(CHUNK_WORKER));
+  try {
+    pool.broadcast({ type: 'init', blocks: null, tiles: null, generator: null });
+    const { error } = await runJob(pool, GENERATE);
+    assert.match(error, /Worker init failed/);
+  } finally {
+    pool.terminate();
+  }
+});
+
+// The first worker dies on its first job; the ones that replace it are real chunk workers
+for (const [name, crash] of [['throws', 'throw new Error("crashed")'], ['exits', 'process.exit(1)']]) {
+  test(`a worker that ${name} is replaced, and its job fails`, async () => {
+    let started = 0;
+    const pool = createPool(1, () => started++ > 0 ? new Worker(CHUNK_WORKER) : new Worker(`
+      require('worker_threads').parentPort.on('message', message => {
+        if (message.type !== 'init') {
+          ${crash};
+        }
+      });
+    `, { eval: true }));
+
+    try {
+      const failed = await runJob(pool, GENERATE);
+      assert.ok(failed.error, 'the crashed job should fail');
+      assert.strictEqual(pool.pendingJobs, 0);
+      assert.strictEqual(pool.workers.length, 1);
+
+      // The replacement was sent the init, so it can generate
+      const { data } = await runJob(pool, GENERATE);
+      assert.strictEqual(data.blocks[0], Blocks.types.STONE);
+      assert.strictEqual(started, 2);
+    } finally {
+      pool.terminate();
+    }
+  });
+}
@@ -0,0 +1,43 @@
+// Decorations far from the camera are forgotten, and come back the same
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createFakeGl } = require('./load-scripts');
+
+loadScripts('utils.js', 'models.js', 'blocks.js', 'noise.js', 'textures.js', 'biomes.js', 'features.js',
+  'ores.js', 'caves.js', 'rivers.js', 'structures.js', 'generators.js', 'chunk.js', 'lighting.js', 'sky.js', 'world.js');
+
+// Generate everything in view of a camera position
+function visit(world, position) {
+  for (let i = 0; i < 100 && (i === 0 || world.missingChunks.length > 0); i++) {
+    world.updateChunks(position);
+  }
+}
+
+// The blocks of every loaded chunk, by chunk key
+function getBlocks(world) {
+  return new Map(Array.from(world.chunks, ([key, chunk]) => [key, Array.from(chunk.blocks).join(',')]));
+}
+
+test('decorations are forgotten far away and placed the same on the way back', () => {
+  const world = new World(createFakeGl(), 1, { seed: 5 });
+  world.init({ uniformLocations: {}, attribLocations: {} });
+
+  visit(world, [8, 80, 8]);
+  const before = getBlocks(world);
+  assert.ok(world.decoratedColumns.has('0,0'));
+  assert.ok(world.pendingWrites.size > 0, 'nothing was decorated');
+
+  // Far enough that nothing near the start is remembered
+  visit(world, [8 + 16 * 100, 80, 8]);
+  assert.ok(!world.decoratedColumns.has('0,0'));
+  for (const key of world.pendingWrites.keys()) {
+    assert.ok(Number(key.split(',')[0]) > 50, `writes for ${key} were kept`);
+  }
+  for (const { chunkX } of world.placedStructures.values()) {
+    assert.ok(chunkX > 50, 'a structure near the start was kept');
+  }
+
+  visit(world, [8, 80, 8]);
+  assert.deepStrictEqual(getBlocks(world), before);
+});
@@ -0,0 +1,94 @@
+// Worker jobs that fail are retried, and after a few failures done on the
+// main thread, so a chunk is never left ungenerated or unmeshed
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, createFakeGl } = require('./load-scripts');
+
+loadScripts('utils.js', 'models.js', 'blocks.js', 'noise.js', 'textures.js', 'biomes.js', 'features.js',
+  'ores.js', 'caves.js', 'rivers.js', 'structures.js', 'generators.js', 'chunk.js', 'lighting.js', 'sky.js', 'world.js');
+
+// Worker pool stand-in that keeps its jobs for the test to finish or fail
+class FakeWorkerPool {
+  constructor() {
+    this.jobs = new Map();
+    this.nextJobId = 1;
+  }
+
+  broadcast() {}
+
+  run(message, transfer, onDone, onFailed) {
+    const id = this.nextJobId++;
+    this.jobs.set(id, { message, onDone, onFailed });
+    return id;
+  }
+
+  cancel(jobId) {
+    this.jobs.delete(jobId);
+  }
+
+  // Take the job queued for a chunk, if there is one
+  take(type, chunkX, chunkY, chunkZ, world) {
+    const pending = type === 'generate' ? world.pendingGenerations : world.pendingMeshes;
+    const jobId = pending.get(world.getChunkKey(chunkX, chunkY, chunkZ));
+    const job = this.jobs.get(jobId);
+    this.jobs.delete(jobId);
+    return job;
+  }
+}
+
+function createWorld() {
+  const workerPool = new FakeWorkerPool();
+  const world = new World(createFakeGl(), 1, { generator: 'flat', seed: 1, workerPool });
+  world.init({ uniformLocations: {}, attribLocations: {} });
+  return { world, workerPool };
+}
+
+// The chunk the camera stands in: the grass layer of the flat world
+const CAMERA = [8, -58, 8];
+
+test('a chunk whose generation fails is generated again', () => {
+  const { world, workerPool } = createWorld();
+  world.updateChunks(CAMERA);
+
+  for (let failures = 1; failures <= world.maxJobRetries + 1; failures++) {
+    const job = workerPool.take('generate', 0, -4, 0, world);
+    assert.ok(job, `generation ${failures} wasn't requested`);
+    job.onFailed('Worker crashed');
+    assert.ok(!world.pendingGenerations.has('0,-4,0'));
+    world.updateChunks(CAMERA);
+  }
+
+  // Out of retries, so it was generated on this thread
+  assert.ok(world.chunks.has('0,-4,0'));
+  assert.strictEqual(world.getBlock(0, -64, 0), Blocks.types.STONE);
+  assert.ok(!world.failedGenerations.has('0,-4,0'));
+});
+
+test('a chunk whose mesh fails is meshed again', () => {
+  const { world, workerPool } = createWorld();
+  world.updateChunks(CAMERA);
+
+  // Generate everything in view, so the chunks can be meshed
+  for (const [id, job] of workerPool.jobs) {
+    const { chunkX, chunkY, chunkZ, size } = job.message;
+    const chunk = new Chunk(size, world.blockRegistry);
+    world.generator.generateChunk(chunk, chunkX, chunkY, chunkZ);
+    workerPool.jobs.delete(id);
+    job.onDone({ blocks: chunk.blocks, states: chunk.states });
+  }
+  world.updateChunks(CAMERA);
+
+  for (let failures = 1; failures <= world.maxJobRetries + 1; failures++) {
+    const job = workerPool.take('mesh', 0, -4, 0, world);
+    assert.ok(job, `mesh ${failures} wasn't requested`);
+    job.onFailed('Worker crashed');
+    assert.ok(world.dirtyChunks.has('0,-4,0'));
+    world.updateChunks(CAMERA);
+  }
+
+  // Out of retries, so it was meshed on this thread
+  assert.ok(world.chunkMeshes.has('0,-4,0'));
+  assert.ok(!world.pendingMeshes.has('0,-4,0'));
+  assert.ok(world.chunkMeshes.get('0,-4,0').opaque.vertexCount > 0);
+});
@@ -0,0 +1,275 @@
+// textures.js - Block texture atlas
+//
+// Every block texture lives in one image, so a chunk is drawn with a single
+// texture bind. Each tile is surrounded by a gutter of its own edge pixels:
+// filtering and the smaller mipmap levels then only ever blend a tile with
+// copies of itself instead of bleeding in its neighbours. The atlas keeps its
+// RGBA pixels in memory, so it can be built without a DOM (see createFallback)
+// and uploaded to WebGL as-is.
+
+class TextureAtlas {
+  constructor(tileSize = 16, columns = 16) {
+    this.tileSize = tileSize;
+    this.padding = tileSize / 2;                 // Gutter on each side of a tile
+    this.cellSize = tileSize + this.padding * 2;
+    this.columns = columns;
+    this.size = this.cellSize * columns;         // Width and height in pixels
+    this.pixels = new Uint8Array(this.size * this.size * 4);
+
+    // Texture name -> { slot, uv: [u0, v0, u1, v1] }
+    this.tiles = new Map();
+
+    // Shown for texture names the atlas doesn't have
+    this.addTile('missing', TextureAtlas.paintChecker(tileSize, [1.0, 0.0, 1.0, 1.0], [0.0, 0.0, 0.0, 1.0]));
+  }
+
+  // Add (or replace) a tile from tileSize x tileSize RGBA pixels, rows top to bottom
+  addTile(name, pixels) {
+    let tile = this.tiles.get(name);
+    if (!tile) {
+      const slot = this.tiles.size;
+      if (slot >= this.columns * this.columns) {
+        console.error(`Texture atlas is full, can't add "${name}"`);
+        return null;
+      }
+
+      const cellX = (slot % this.columns) * this.cellSize;
+      const cellY = Math.floor(slot / this.columns) * this.cellSize;
+      tile = {
+        slot,
+        uv: [
+          (cellX + this.padding) / this.size,
+          (cellY + this.padding) / this.size,
+          (cellX + this.padding + this.tileSize) / this.size,
+          (cellY + this.padding + this.tileSize) / this.size
+        ]
+      };
+      this.tiles.set(name, tile);
+    }
+
+    // Copy the tile into its cell, repeating the edge pixels out into the gutter
+    const cellX = (tile.slot % this.columns) * this.cellSize;
+    const cellY = Math.floor(tile.slot / this.columns) * this.cellSize;
+    const last = this.tileSize - 1;
+
+    for (let y = 0; y < this.cellSize; y++) {
+      const sourceY = Math.max(0, Math.min(last, y - this.padding));
+      for (let x = 0; x < this.cellSize; x++) {
+        const sourceX = Math.max(0, Math.min(last, x - this.padding));
+        const from = (sourceX + sourceY * this.tileSize) * 4;
+        const to = (cellX + x + (cellY + y) * this.size) * 4;
+        this.pixels[to] = pixels[from];
+        this.pixels[to + 1] = pixels[from + 1];
+        this.pixels[to + 2] = pixels[from + 2];
+        this.pixels[to + 3] = pixels[from + 3];
+      }
+    }
+
+    return tile.uv;
+  }
+
+  // Whether the atlas has a tile for a texture name
+  has(name) {
+    return this.tiles.has(name);
+  }
+
+  // Get the UV rectangle [u0, v0, u1, v1] of a texture (v0 is the top row)
+  getUV(name) {
+    const tile = this.tiles.get(name) || this.tiles.get('missing');
+    return tile.uv;
+  }
+
+  // Get the index of a texture's tile, counting across rows from the top left;
+  // chunk meshes store this and the shader works out where the tile is
+  getTileIndex(name) {
+    const tile = this.tiles.get(name) || this.tiles.get('missing');
+    return tile.slot;
+  }
+
+  // Tile indices of every texture by name, for meshing where the atlas itself
+  // isn't available (workers); wrap it with TextureAtlas.tileLookup
+  getTileIndices() {
+    const indices = {};
+    for (const [name, tile] of this.tiles) {
+      indices[name] = tile.slot;
+    }
+    return indices;
+  }
+
+  // Something the mesher can use in place of an atlas, built from getTileIndices()
+  static tileLookup(indices) {
+    return { getTileIndex: name => (name in indices ? indices[name] : indices.missing) };
+  }
+
+  // Upload the atlas as a WebGL texture: nearest filtering keeps the pixel-art
+  // look, and mipmaps (safe thanks to the gutters) stop distant blocks shimmering
+  createTexture(gl) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.size, this.size, 0, gl.RGBA, gl.UNSIGNED_BYTE, this.pixels);
+
+    // WebGL 1 can only mipmap power-of-two textures
+    const isPowerOfTwo = (this.size & (this.size - 1)) === 0;
+    if (isPowerOfTwo) {
+      gl.generateMipmap(gl.TEXTURE_2D);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST_MIPMAP_NEAREST);
+    } else {
+      console.warn(`Texture atlas size ${this.size} is not a power of two, mipmaps are disabled`);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    }
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+    return texture;
+  }
+
+  // Add procedural tiles for every texture the registry's blocks use that the atlas lacks
+  addFallbackTiles(registry = Blocks) {
+    for (const block of registry.getAll()) {
+      if (block.id === 'AIR') {
+        continue;
+      }
+
+      for (const name of new Set(block.faceTextures)) {
+        if (!this.has(name)) {
+          this.addTile(name, TextureAtlas.paintTile(name, block, registry, this.tileSize));
+        }
+      }
+    }
+  }
+
+  // Build an atlas without any image files, painting every block's textures from its colour
+  static createFallback(registry = Blocks, tileSize = 16) {
+    const atlas = new TextureAtlas(tileSize);
+    atlas.addFallbackTiles(registry);
+    return atlas;
+  }
+
+  // Load an atlas from an image laid out as a grid of tiles. The layout is an
+  // object or the URL of a JSON file giving tile positions in tile units:
+  //   { "tileSize": 16, "tiles": { "grass_top": [0, 0], "grass_side": [1, 0], ... } }
+  // Textures the image doesn't provide get procedural tiles.
+  static async load(imageUrl, layout, registry = Blocks) {
+    if (typeof layout === 'string') {
+      const response = await fetch(layout);
+      layout = await response.json();
+    }
+
+    const image = new Image();
+    image.src = imageUrl;
+    await image.decode();
+
+    // Read the image's pixels back through a 2D canvas
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0);
+
+    const tileSize = layout.tileSize || 16;
+    const atlas = new TextureAtlas(tileSize);
+    for (const [name, [column, row]] of Object.entries(layout.tiles)) {
+      const data = context.getImageData(column * tileSize, row * tileSize, tileSize, tileSize).data;
+      atlas.addTile(name, data);
+    }
+
+    atlas.addFallbackTiles(registry);
+    return atlas;
+  }
+
+  // Two-colour checkerboard (used for the missing texture)
+  static paintChecker(tileSize, colorA, colorB) {
+    const pixels = new Uint8Array(tileSize * tileSize * 4);
+    const half = tileSize / 2;
+
+    for (let y = 0; y < tileSize; y++) {
+      for (let x = 0; x < tileSize; x++) {
+        const color = (x < half) === (y < half) ? colorA : colorB;
+        TextureAtlas.setPixel(pixels, tileSize, x, y, color, 1);
+      }
+    }
+
+    return pixels;
+  }
+
+  // Paint a procedural tile for one of a block's textures. Most blocks get their
+  // colour with some speckle; a few texture names get a recognisable pattern.
+  static paintTile(name, block, registry, tileSize) {
+    // Textures named after another block (grass uses 'dirt' underneath) take that block's colour
+    block = registry.get(name.toUpperCase()) || block;
+
+    const pixels = new Uint8Array(tileSize * tileSize * 4);
+    const random = Noise.createRandom(`texture:${name}`);
+    const color = block.color;
+    const colorOf = id => (registry.get(id) || block).color;
+
+    for (let y = 0; y < tileSize; y++) {
+      for (let x = 0; x < tileSize; x++) {
+        // Per-pixel brightness jitter, the base of every pattern
+        const jitter = 0.88 + random() * 0.24;
+        let pixel = color;
+        let shade = jitter;
+
+        if (name === 'grass_side') {
+          // Dirt with a ragged strip of grass along the top
+          const grassDepth = 3 + Math.floor(random() * 2);
+          pixel = y < grassDepth ? color : colorOf('DIRT');
+        } else if (name.endsWith('_top') && block.id === 'WOOD') {
+          // Growth rings around the middle of the log
+          const dx = x + 0.5 - tileSize / 2;
+          const dy = y + 0.5 - tileSize / 2;
+          const ring = Math.floor(Math.sqrt(dx * dx + dy * dy) / 2);
+          shade = jitter * (ring % 2 === 0 ? 1.1 : 0.85);
+        } else if (block.id === 'WOOD') {
+          // Bark: vertical grain
+          shade = jitter * (x % 4 === 0 ? 0.75 : 1.0);
+        } else if (block.id === 'LEAVES') {
+          // Leaves have gaps you can see through
+          if (random() < 0.18) {
+            pixel = [0, 0, 0, 0];
+          }
+        } else if (block.id === 'FLOWER') {
+          // A blossom on a stem, on a transparent background
+          const dx = x + 0.5 - tileSize / 2;
+          const dy = y + 0.5 - tileSize * 0.35;
+          if (dx * dx + dy * dy < tileSize * tileSize * 0.03) {
+            pixel = color;
+          } else if (Math.abs(dx) < 1 && dy > 0) {
+            pixel = colorOf('LEAVES');
+          } else {
+            pixel = [0, 0, 0, 0];
+          }
+        } else if (block.id === 'TALL_GRASS') {
+          // Blades of different heights, on a transparent background
+          const bladeTop = tileSize * (0.2 + ((x * 7) % 5) * 0.12);
+          pixel = y >= bladeTop && x % 3 !== 1 ? color : [0, 0, 0, 0];
+        } else if (block.id === 'TORCH') {
+          // A stick with a flame on top, in the middle two columns (the torch model's width)
+          const middle = Math.abs(x + 0.5 - tileSize / 2) < tileSize / 8;
+          if (!middle || y < tileSize * 0.375) {
+            pixel = [0, 0, 0, 0];
+          } else if (y < tileSize * 0.5) {
+            pixel = [1.0, 0.8, 0.3, 1.0];
+          }
+        } else if (name.endsWith('_ore')) {
+          // Stone with clumps of the ore's colour
+          pixel = random() < 0.22 ? color : colorOf('STONE');
+        }
+
+        TextureAtlas.setPixel(pixels, tileSize, x, y, pixel, shade);
+      }
+    }
+
+    return pixels;
+  }
+
+  // Write one RGBA pixel (colour components in [0, 1]) with a brightness multiplier
+  static setPixel(pixels, tileSize, x, y, color, shade) {
+    const i = (x + y * tileSize) * 4;
+    pixels[i] = Math.min(255, Math.round(color[0] * shade * 255));
+    pixels[i + 1] = Math.min(255, Math.round(color[1] * shade * 255));
+    pixels[i + 2] = Math.min(255, Math.round(color[2] * shade * 255));
+    pixels[i + 3] = color[3] > 0 ? 255 : 0;
+  }
+}
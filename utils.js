@@ -228,6 +228,25 @@ const mat4 = {
     out[14] = -(z0 * eyex + z1 * eyey + z2 * eyez);
     out[15] = 1;
 
+    return out;
+  },
+  
+  // out = a * b (b is applied first)
+  multiply: function(out, a, b) {
+    const a00 = a[0], a01 = a[1], a02 = a[2], a03 = a[3],
+          a10 = a[4], a11 = a[5], a12 = a[6], a13 = a[7],
+          a20 = a[8], a21 = a[9], a22 = a[10], a23 = a[11],
+          a30 = a[12], a31 = a[13], a32 = a[14], a33 = a[15];
+    
+    // One column of b at a time
+    for (let i = 0; i < 16; i += 4) {
+      const b0 = b[i], b1 = b[i + 1], b2 = b[i + 2], b3 = b[i + 3];
+      out[i] = b0 * a00 + b1 * a10 + b2 * a20 + b3 * a30;
+      out[i + 1] = b0 * a01 + b1 * a11 + b2 * a21 + b3 * a31;
+      out[i + 2] = b0 * a02 + b1 * a12 + b2 * a22 + b3 * a32;
+      out[i + 3] = b0 * a03 + b1 * a13 + b2 * a23 + b3 * a33;
+    }
+    
     return out;
   }
 };
@@ -287,4 +306,53 @@ const vec3 = {
     out[2] = a[2] * b;
     return out;
   }
-};
\ No newline at end of file
+};
+
+// View frustum: six planes (left, right, bottom, top, near, far), each stored
+// as [a, b, c, d] with the normal (a, b, c) pointing into the frustum, so a
+// point is inside a plane when a * x + b * y + c * z + d >= 0
+const frustum = {
+  create: function() {
+    return new Float32Array(24);
+  },
+  
+  // Extract the planes from a projection * view matrix: each is the matrix's
+  // fourth row plus or minus one of the others (Gribb and Hartmann). The
+  // planes are in whatever space the matrix takes points from (world space for
+  // projection * view).
+  fromMatrix: function(out, m) {
+    for (let i = 0; i < 6; i++) {
+      const row = i >> 1;                   // x for left/right, y for bottom/top, z for near/far
+      const sign = i % 2 === 0 ? 1 : -1;    // Left, bottom and near add the row
+      const a = m[3] + sign * m[row];
+      const b = m[7] + sign * m[row + 4];
+      const c = m[11] + sign * m[row + 8];
+      const d = m[15] + sign * m[row + 12];
+      
+      // Normalised, so plane distances are real distances
+      const length = Math.sqrt(a * a + b * b + c * c) || 1;
+      out[i * 4] = a / length;
+      out[i * 4 + 1] = b / length;
+      out[i * 4 + 2] = c / length;
+      out[i * 4 + 3] = d / length;
+    }
+    return out;
+  },
+  
+  // Whether an axis-aligned box (min and max corners) is at least partly
+  // inside. Only the box's corner farthest along each plane's normal is
+  // tested, so this is cheap but conservative: a box outside the frustum near
+  // one of its corners can still pass.
+  intersectsBox: function(planes, min, max) {
+    for (let i = 0; i < 24; i += 4) {
+      const a = planes[i], b = planes[i + 1], c = planes[i + 2];
+      const x = a >= 0 ? max[0] : min[0];
+      const y = b >= 0 ? max[1] : min[1];
+      const z = c >= 0 ? max[2] : min[2];
+      if (a * x + b * y + c * z + planes[i + 3] < 0) {
+        return false;
+      }
+    }
+    return true;
+  }
+};
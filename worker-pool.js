@@ -0,0 +1,168 @@
+// worker-pool.js - Hands chunk generation and meshing jobs to background workers
+//
+// Jobs wait in a queue and each worker runs one at a time, so a job that's
+// cancelled before a worker picks it up never runs at all; one that's already
+// running finishes, but its result is dropped. A worker that crashes is
+// replaced, and the job it was running fails. Works with browser Web Workers
+// and Node worker_threads alike (see chunk-worker.js).
+
+class ChunkWorkerPool {
+  constructor(size, createWorker = () => new Worker('chunk-worker.js')) {
+    this.createWorker = createWorker;
+    this.workers = [];
+    this.idleWorkers = [];
+    this.queue = [];              // Jobs waiting for a worker, in request order
+    this.jobs = new Map();        // Job id -> job, queued or running
+    this.runningJobs = new Map(); // Worker -> id of the job it's running
+    this.broadcasts = new Map();  // Message type -> last one broadcast, for workers started later
+    this.nextJobId = 1;
+
+    for (let i = 0; i < size; i++) {
+      this.addWorker();
+    }
+  }
+
+  // Start a worker and send it what's been broadcast so far
+  addWorker() {
+    const worker = this.createWorker();
+    const onMessage = data => this.finishJob(worker, data);
+    const onError = error => this.replaceWorker(worker, error);
+
+    // Node workers are event emitters, browser workers use handler properties.
+    // A Node worker can also stop without an error (process.exit, running out
+    // of memory), which is a crash all the same.
+    if (typeof worker.on === 'function') {
+      worker.on('message', onMessage);
+      worker.on('error', onError);
+      worker.on('exit', code => onError(new Error(`Worker stopped with exit code ${code}`)));
+    } else {
+      worker.onmessage = event => onMessage(event.data);
+      worker.onerror = onError;
+    }
+
+    for (const message of this.broadcasts.values()) {
+      worker.postMessage(message);
+    }
+
+    this.workers.push(worker);
+    this.idleWorkers.push(worker);
+  }
+
+  // A worker threw outside a job's own error handling or stopped: fail the job
+  // it was running, if any, and start a fresh worker in its place
+  replaceWorker(worker, error) {
+    const index = this.workers.indexOf(worker);
+    if (index === -1) {
+      return;  // Already replaced, or the pool's been terminated
+    }
+
+    console.error('Chunk worker error:', error.message || error);
+    this.workers.splice(index, 1);
+    const idleIndex = this.idleWorkers.indexOf(worker);
+    if (idleIndex !== -1) {
+      this.idleWorkers.splice(idleIndex, 1);
+    }
+    worker.terminate();
+
+    const job = this.jobs.get(this.runningJobs.get(worker));
+    this.runningJobs.delete(worker);
+    this.addWorker();
+
+    if (job) {
+      this.jobs.delete(job.id);
+      this.failJob(job, error.message || String(error));
+    }
+    this.dispatch();
+  }
+
+  // Send a message to every worker, ahead of any job queued after it
+  // (workers started later, to replace ones that fail, get it too)
+  broadcast(message) {
+    this.broadcasts.set(message.type, message);
+    for (const worker of this.workers) {
+      worker.postMessage(message);
+    }
+  }
+
+  // Queue a job. onDone gets the worker's reply unless the job is cancelled
+  // first (onFailed, if given, is called instead when the job throws); the
+  // buffers in transfer are handed over to the worker. Returns the job id.
+  run(message, transfer, onDone, onFailed = null) {
+    const job = { id: this.nextJobId++, message, transfer, onDone, onFailed };
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.dispatch();
+    return job.id;
+  }
+
+  // Forget a job: drop it from the queue, or ignore its result if it's running
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return;
+    }
+
+    this.jobs.delete(jobId);
+    const index = this.queue.indexOf(job);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+    }
+  }
+
+  // Number of jobs queued or running
+  get pendingJobs() {
+    return this.jobs.size;
+  }
+
+  // Start queued jobs on idle workers
+  dispatch() {
+    while (this.idleWorkers.length > 0 && this.queue.length > 0) {
+      const job = this.queue.shift();
+      const worker = this.idleWorkers.pop();
+      this.runningJobs.set(worker, job.id);
+      worker.postMessage(Object.assign({ id: job.id }, job.message), job.transfer);
+    }
+  }
+
+  finishJob(worker, data) {
+    // Replies without a job id are from the worker itself, e.g. a failed init
+    if (data.id === undefined) {
+      console.error('Chunk worker error:', data.error);
+      return;
+    }
+
+    this.runningJobs.delete(worker);
+    this.idleWorkers.push(worker);
+
+    const job = this.jobs.get(data.id);
+    this.jobs.delete(data.id);
+    if (job) {
+      if (data.error) {
+        this.failJob(job, data.error);
+      } else {
+        job.onDone(data);
+      }
+    }
+
+    this.dispatch();
+  }
+
+  failJob(job, error) {
+    console.error(`Chunk job ${job.message.type} failed:`, error);
+    if (job.onFailed) {
+      job.onFailed(error);
+    }
+  }
+
+  // Stop every worker; queued and running jobs are dropped
+  terminate() {
+    for (const worker of this.workers) {
+      worker.terminate();
+    }
+    this.workers = [];
+    this.idleWorkers = [];
+    this.queue = [];
+    this.jobs.clear();
+    this.runningJobs.clear();
+  }
+}
@@ -12,17 +12,82 @@ class WorldRenderer {
     
     // Initialize
     this.initShaders();
+    this.initSky();
     
-    // Set clear color to light blue sky
-    this.gl.clearColor(0.5, 0.7, 1.0, 1.0);
     this.gl.enable(this.gl.DEPTH_TEST);
     
-    // Create the world with a render distance of 4 chunks
-    this.world = new World(this.gl, 4);
+    // Create the world with a render distance of 4 chunks. The generator and seed
+    // can be picked in the URL, e.g. ?generator=flat or ?generator=amplified&seed=42;
+    // otherwise the last world played is brought back (see saveWorld)
+    const params = new URLSearchParams(window.location.search);
+    this.saveKey = 'minecraft-world';  // localStorage key the world is saved under
+    this.saveInterval = 10;            // Seconds between saves while playing
+    this.saveTimer = 0;
+    let worldOptions = {};
+    if (params.has('generator') || params.has('seed')) {
+      if (params.has('generator')) {
+        worldOptions.generator = params.get('generator');
+      }
+      if (params.has('seed')) {
+        worldOptions.seed = params.get('seed');
+      }
+    } else {
+      worldOptions = this.loadWorld() || {};
+    }
+    // ?time=18000 starts at midnight (in ticks, see sky.js) and ?dayLength=60
+    // makes a day last a minute
+    if (params.has('time')) {
+      const time = parseFloat(params.get('time'));
+      if (Number.isFinite(time)) {
+        worldOptions.time = time;
+      } else {
+        console.warn(`Ignoring ?time=${params.get('time')}: it must be a number of ticks`);
+      }
+    }
+    if (params.has('dayLength')) {
+      const dayLength = parseFloat(params.get('dayLength'));
+      if (Number.isFinite(dayLength) && dayLength > 0) {
+        worldOptions.dayLength = dayLength;
+      } else {
+        console.warn(`Ignoring ?dayLength=${params.get('dayLength')}: it must be a positive number of seconds`);
+      }
+    }
+    // ?mesher=naive draws one quad per block face instead of merging them
+    if (params.get('mesher') === 'naive') {
+      worldOptions.greedyMeshing = false;
+    }
+    // Generate and mesh chunks on background workers where the browser allows
+    // it (not from file:// pages in some browsers); ?workers=0 turns them off
+    const workerCount = params.has('workers')
+      ? parseInt(params.get('workers'), 10)
+      : Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+    if (workerCount > 0 && typeof Worker !== 'undefined') {
+      try {
+        worldOptions.workerPool = new ChunkWorkerPool(workerCount);
+      } catch (error) {
+        console.warn('Chunk workers are unavailable, generating on the main thread:', error);
+      }
+    }
+    this.world = new World(this.gl, 4, worldOptions);
     this.world.init(this.programInfo);
+    window.addEventListener('pagehide', () => this.saveWorld());
     
-    // Set up camera
+    // Block textures from an image atlas, e.g. ?atlas=textures/blocks loads
+    // textures/blocks.png laid out by textures/blocks.json (see TextureAtlas.load)
+    if (params.has('atlas')) {
+      const atlasPath = params.get('atlas');
+      TextureAtlas.load(`${atlasPath}.png`, `${atlasPath}.json`, this.world.blockRegistry)
+        .then(atlas => this.world.setAtlas(atlas))
+        .catch(error => console.error(`Failed to load texture atlas "${atlasPath}", keeping the built-in textures:`, error));
+    }
+    
+    // Set up camera, starting just above the ground at the world's spawn point
     this.camera = new Camera(canvas);
+    this.camera.position = this.world.getSpawnPoint();
+    
+    // Blocks the number keys select (ids from the block registry), and the one left click places
+    this.placeBlockIds = ['GRASS', 'DIRT', 'STONE', 'WOOD', 'SAND', 'STONE_SLAB', 'STONE_STAIRS', 'FENCE', 'TORCH'];
+    this.placeBlockId = this.placeBlockIds[0];
     
     // Set up animation
     this.lastFrameTime = 0;
@@ -30,27 +95,66 @@ class WorldRenderer {
     // Stats for debugging
     this.stats = {
       fps: 0,
-      chunksRendered: 0
+      chunksDrawn: 0,
+      chunksCulled: 0,
+      chunksOccluded: 0,
+      biome: '',
+      time: ''
     };
     
     // UI elements
     this.createUI();
   }
   
+  // The world options saved by saveWorld, or null if there aren't any
+  loadWorld() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.saveKey));
+      return saved && typeof saved === 'object' ? saved : null;
+    } catch (error) {
+      console.warn('Could not load the saved world:', error);
+      return null;
+    }
+  }
+  
+  // Keep what's needed to bring the world back next time (see World.getSaveData)
+  saveWorld() {
+    try {
+      localStorage.setItem(this.saveKey, JSON.stringify(this.world.getSaveData()));
+    } catch (error) {
+      console.warn('Could not save the world:', error);
+    }
+  }
+  
   initShaders() {
+    // Let the chunk shader choose mipmap levels itself (see shaders.js); it
+    // still works without these
+    this.gl.getExtension('OES_standard_derivatives');
+    this.gl.getExtension('EXT_shader_texture_lod');
+    
     // Create shader program
-    this.shaderProgram = createShaderProgram(this.gl, vertexShaderSource, fragmentShaderSource);
+    this.shaderProgram = createShaderProgram(this.gl, chunkVertexShaderSource, chunkFragmentShaderSource);
     
     // Set up program info
     this.programInfo = {
       program: this.shaderProgram,
       attribLocations: {
-        vertexPosition: this.gl.getAttribLocation(this.shaderProgram, 'aVertexPosition'),
-        vertexColor: this.gl.getAttribLocation(this.shaderProgram, 'aVertexColor'),
+        position: this.gl.getAttribLocation(this.shaderProgram, 'aPosition'),
+        tilePosition: this.gl.getAttribLocation(this.shaderProgram, 'aTilePosition'),
+        vertexData: this.gl.getAttribLocation(this.shaderProgram, 'aVertexData'),
       },
       uniformLocations: {
         projectionMatrix: this.gl.getUniformLocation(this.shaderProgram, 'uProjectionMatrix'),
         modelViewMatrix: this.gl.getUniformLocation(this.shaderProgram, 'uModelViewMatrix'),
+        faceShading: this.gl.getUniformLocation(this.shaderProgram, 'uFaceShading'),
+        aoBrightness: this.gl.getUniformLocation(this.shaderProgram, 'uAoBrightness'),
+        lightBrightness: this.gl.getUniformLocation(this.shaderProgram, 'uLightBrightness'),
+        skyLight: this.gl.getUniformLocation(this.shaderProgram, 'uSkyLight'),
+        atlas: this.gl.getUniformLocation(this.shaderProgram, 'uAtlas'),
+        atlasColumns: this.gl.getUniformLocation(this.shaderProgram, 'uAtlasColumns'),
+        atlasCellSpan: this.gl.getUniformLocation(this.shaderProgram, 'uAtlasCellSpan'),
+        atlasPadding: this.gl.getUniformLocation(this.shaderProgram, 'uAtlasPadding'),
+        tileSpan: this.gl.getUniformLocation(this.shaderProgram, 'uTileSpan'),
       },
     };
     
@@ -60,6 +164,59 @@ class WorldRenderer {
     }
   }
   
+  // The sky is drawn as one triangle covering the screen (see the sky shaders)
+  initSky() {
+    const program = createShaderProgram(this.gl, skyVertexShaderSource, skyFragmentShaderSource);
+    this.skyProgramInfo = {
+      program: program,
+      attribLocations: {
+        position: this.gl.getAttribLocation(program, 'aPosition'),
+      },
+      uniformLocations: {
+        front: this.gl.getUniformLocation(program, 'uFront'),
+        right: this.gl.getUniformLocation(program, 'uRight'),
+        up: this.gl.getUniformLocation(program, 'uUp'),
+        viewSpan: this.gl.getUniformLocation(program, 'uViewSpan'),
+        skyColor: this.gl.getUniformLocation(program, 'uSkyColor'),
+        horizonColor: this.gl.getUniformLocation(program, 'uHorizonColor'),
+        sunDirection: this.gl.getUniformLocation(program, 'uSunDirection'),
+        moonDirection: this.gl.getUniformLocation(program, 'uMoonDirection'),
+      },
+    };
+    
+    this.skyBuffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.skyBuffer);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), this.gl.STATIC_DRAW);
+  }
+  
+  // Draw the sky behind everything, for the camera's view and the time of day
+  drawSky(sky, fieldOfView, aspect) {
+    const { program, attribLocations, uniformLocations } = this.skyProgramInfo;
+    const clock = this.world.clock;
+    const viewHeight = Math.tan(fieldOfView / 2);
+    
+    this.gl.useProgram(program);
+    this.gl.uniform3fv(uniformLocations.front, this.camera.front);
+    this.gl.uniform3fv(uniformLocations.right, this.camera.right);
+    this.gl.uniform3fv(uniformLocations.up, this.camera.up);
+    this.gl.uniform2f(uniformLocations.viewSpan, viewHeight * aspect, viewHeight);
+    this.gl.uniform3fv(uniformLocations.skyColor, sky.sky);
+    this.gl.uniform3fv(uniformLocations.horizonColor, sky.horizon);
+    this.gl.uniform3fv(uniformLocations.sunDirection, clock.getSunDirection());
+    this.gl.uniform3fv(uniformLocations.moonDirection, clock.getMoonDirection());
+    
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.skyBuffer);
+    this.gl.vertexAttribPointer(attribLocations.position, 2, this.gl.FLOAT, false, 0, 0);
+    this.gl.enableVertexAttribArray(attribLocations.position);
+    
+    this.gl.disable(this.gl.DEPTH_TEST);
+    this.gl.depthMask(false);
+    this.gl.drawArrays(this.gl.TRIANGLES, 0, 3);
+    this.gl.depthMask(true);
+    this.gl.enable(this.gl.DEPTH_TEST);
+    this.gl.disableVertexAttribArray(attribLocations.position);
+  }
+  
   createUI() {
     // Create stats display
     this.statsDisplay = document.createElement('div');
@@ -73,7 +230,7 @@ class WorldRenderer {
     this.statsDisplay.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
     document.body.appendChild(this.statsDisplay);
     
-    // Create render distance slider
+    // Create the settings panel: render distance slider and ambient occlusion toggle
     const renderDistanceControl = document.createElement('div');
     renderDistanceControl.style.position = 'absolute';
     renderDistanceControl.style.bottom = '10px';
@@ -90,7 +247,7 @@ class WorldRenderer {
     const slider = document.createElement('input');
     slider.type = 'range';
     slider.min = '1';
-    slider.max = '10';
+    slider.max = String(MAX_RENDER_DISTANCE);
     slider.value = '4';
     slider.style.width = '200px';
     
@@ -100,8 +257,24 @@ class WorldRenderer {
       this.world.setRenderDistance(value);
     });
     
+    // Ambient occlusion toggle
+    const aoLabel = document.createElement('label');
+    aoLabel.style.display = 'block';
+    aoLabel.style.marginTop = '5px';
+    
+    const aoCheckbox = document.createElement('input');
+    aoCheckbox.type = 'checkbox';
+    aoCheckbox.checked = this.world.ambientOcclusion;
+    aoCheckbox.addEventListener('change', (e) => {
+      this.world.setAmbientOcclusion(e.target.checked);
+    });
+    
+    aoLabel.appendChild(aoCheckbox);
+    aoLabel.appendChild(document.createTextNode(' Ambient Occlusion'));
+    
     renderDistanceControl.appendChild(sliderLabel);
     renderDistanceControl.appendChild(slider);
+    renderDistanceControl.appendChild(aoLabel);
     document.body.appendChild(renderDistanceControl);
     
     // Add block placement instructions
@@ -114,42 +287,37 @@ class WorldRenderer {
     blockInstructions.style.fontFamily = 'Arial, sans-serif';
     blockInstructions.style.padding = '5px';
     blockInstructions.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
-    blockInstructions.innerHTML = 'Left Click: Place Grass Block<br>Right Click: Remove Block';
     document.body.appendChild(blockInstructions);
+    this.blockInstructions = blockInstructions;
+    this.updateBlockInstructions();
     
     // Set up block placement handlers
     this.setupBlockPlacement();
   }
   
+  // Whether the placement raycast stops at a block type (it passes through air and liquids)
+  isTargetBlock(blockType) {
+    const block = this.world.blockRegistry.getByType(blockType);
+    return block.id !== 'AIR' && !block.liquid;
+  }
+  
   setupBlockPlacement() {
     // Block placement distance
     const maxDistance = 6;
+    const isTarget = blockType => this.isTargetBlock(blockType);
     
     // Left click to place block
     this.canvas.addEventListener('click', (e) => {
       if (document.pointerLockElement !== this.canvas || e.button !== 0) return;
       
-      const pos = this.camera.position;
-      const direction = this.camera.front;
+      const hit = this.world.raycast(this.camera.position, this.camera.front, maxDistance, isTarget);
+      if (!hit) return;
       
-      // Simple raycast to find block position
-      for (let i = 1; i < maxDistance; i += 0.5) {
-        const x = pos[0] + direction[0] * i;
-        const y = pos[1] + direction[1] * i;
-        const z = pos[2] + direction[2] * i;
-        
-        const blockType = this.world.getBlock(x, y, z);
-        
-        if (blockType !== 0) {  // If not air
-          // Place block adjacent to the one we hit
-          const nx = pos[0] + direction[0] * (i - 0.5);
-          const ny = pos[1] + direction[1] * (i - 0.5);
-          const nz = pos[2] + direction[2] * (i - 0.5);
-          
-          this.world.setBlock(nx, ny, nz, 1);  // Place grass block
-          break;
-        }
-      }
+      // Place against the face we hit, oriented by that face and where we're looking
+      const block = this.world.blockRegistry.get(this.placeBlockId);
+      const state = BlockRegistry.getPlacementState(block, hit, this.camera.front);
+      const [x, y, z] = hit.position;
+      this.world.setBlock(x + hit.normal[0], y + hit.normal[1], z + hit.normal[2], block.type, state);
     });
     
     // Right click to remove block
@@ -158,25 +326,29 @@ class WorldRenderer {
       
       if (document.pointerLockElement !== this.canvas) return;
       
-      const pos = this.camera.position;
-      const direction = this.camera.front;
-      
-      // Simple raycast to find block position
-      for (let i = 1; i < maxDistance; i += 0.5) {
-        const x = pos[0] + direction[0] * i;
-        const y = pos[1] + direction[1] * i;
-        const z = pos[2] + direction[2] * i;
-        
-        const blockType = this.world.getBlock(x, y, z);
-        
-        if (blockType !== 0) {  // If not air
-          this.world.setBlock(x, y, z, 0);  // Set to air (remove block)
-          break;
-        }
+      const hit = this.world.raycast(this.camera.position, this.camera.front, maxDistance, isTarget);
+      if (hit) {
+        const [x, y, z] = hit.position;
+        this.world.setBlock(x, y, z, this.world.blockRegistry.types.AIR);  // Remove block
+      }
+    });
+    
+    // Number keys pick the block to place
+    document.addEventListener('keydown', (e) => {
+      const match = /^Digit([1-9])$/.exec(e.code);
+      if (match && this.placeBlockIds[match[1] - 1]) {
+        this.placeBlockId = this.placeBlockIds[match[1] - 1];
+        this.updateBlockInstructions();
       }
     });
   }
   
+  // Show which block left click places
+  updateBlockInstructions() {
+    const placeBlockName = this.world.blockRegistry.get(this.placeBlockId).displayName;
+    this.blockInstructions.innerHTML = `Left Click: Place ${placeBlockName} (1-${this.placeBlockIds.length} to change)<br>Right Click: Remove Block`;
+  }
+  
   render(currentTime) {
     currentTime *= 0.001;  // Convert to seconds
     const deltaTime = currentTime - this.lastFrameTime;
@@ -191,12 +363,20 @@ class WorldRenderer {
     // Update chunks based on camera position
     this.world.updateChunks(this.camera.position);
     
-    // Capture stats
-    this.stats.chunksRendered = this.world.loadedChunks.length;
-    this.updateStats();
+    // Run the world clock on; the sky follows the time of day
+    this.world.updateTime(deltaTime);
+    const sky = this.world.clock.getSky();
+    
+    // Save now and then, in case the page never gets to save as it closes
+    this.saveTimer += deltaTime;
+    if (this.saveTimer >= this.saveInterval) {
+      this.saveTimer = 0;
+      this.saveWorld();
+    }
     
     // Resize canvas and clear
     this.resize();
+    this.gl.clearColor(sky.horizon[0], sky.horizon[1], sky.horizon[2], 1.0);
     this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
     
     // Create perspective matrix
@@ -211,8 +391,17 @@ class WorldRenderer {
     // Get the camera view matrix
     const viewMatrix = this.camera.getViewMatrix();
     
-    // Render the world
-    this.world.render(viewMatrix, projectionMatrix);
+    // Render the sky, then the world in front of it
+    this.drawSky(sky, fieldOfView, aspect);
+    this.world.render(viewMatrix, projectionMatrix, this.camera.position);
+    
+    // Capture stats
+    this.stats.chunksDrawn = this.world.renderStats.drawn;
+    this.stats.chunksCulled = this.world.renderStats.culled;
+    this.stats.chunksOccluded = this.world.renderStats.occluded;
+    this.stats.biome = this.world.getBiome(this.camera.position[0], this.camera.position[2]).name;
+    this.stats.time = this.world.clock.getClockTime();
+    this.updateStats();
   }
   
   resize() {
@@ -228,7 +417,7 @@ class WorldRenderer {
   }
   
   updateStats() {
-    this.statsDisplay.innerHTML = `FPS: ${this.stats.fps}<br>Chunks: ${this.stats.chunksRendered}`;
+    this.statsDisplay.innerHTML = `FPS: ${this.stats.fps}<br>Chunks: ${this.stats.chunksDrawn} drawn, ${this.stats.chunksCulled} culled, ${this.stats.chunksOccluded} occluded<br>Biome: ${this.stats.biome}<br>Time: ${this.stats.time}`;
   }
   
   start() {
@@ -1,19 +1,164 @@
 // world.js - Handles multiple chunks in a Minecraft-style world
 
+// How far (in blocks) the camera moves before translucent quads are re-sorted
+const TRANSLUCENT_RESORT_DISTANCE = 1;
+
+// How far (in chunks) past the boundary between two levels of detail a chunk
+// has to be before it switches to the other level
+const LOD_HYSTERESIS = 1;
+
+// Farthest render distance, in chunks
+const MAX_RENDER_DISTANCE = 32;
+
+// Chunk buffers are allocated this much larger than their mesh, so a remesh
+// that grows it a little can still be written into them in place
+const MESH_BUFFER_HEADROOM = 1.25;
+
+// Priorities of decoration writes to the same block: a write only replaces one
+// of lower priority, except replacing writes (trunks), which also replace each
+// other. Structures outrank features, so trees don't grow through buildings
+// or into the air left inside them.
+const DECORATION_FILL = 0;       // Only into air (leaves, plants)
+const DECORATION_REPLACE = 1;    // Over whatever is there (trunks)
+const DECORATION_STRUCTURE = 2;  // Structure blocks, air included
+
+// Scratch corners for the chunk bounding boxes tested against the view frustum
+const CHUNK_BOX_MIN = [0, 0, 0];
+const CHUNK_BOX_MAX = [0, 0, 0];
+
 class World {
-  constructor(gl, renderDistance = 3) {
+  constructor(gl, renderDistance = 3, options = {}) {
     this.gl = gl;
     this.chunks = new Map(); // Map of chunk coordinates to chunk objects
     this.chunkSize = 16;
     this.renderDistance = renderDistance; // Number of chunks in each direction
+    
+    // Vertical extent of the world in blocks; chunks are stacked in sections
+    // of chunkSize, so both limits are rounded outwards to a section boundary
+    const {
+      minHeight = -64,
+      maxHeight = 320,
+      waterLevel = 62,
+      ores = OreDistribution,
+      structures = Structures,
+      blocks = Blocks,
+      atlas = null,
+      greedyMeshing = true,
+      ambientOcclusion = true,
+      workerPool = null,
+      remeshBudget = 8,
+      generationBudget = 8,
+      lodDistances = [8, 16],
+      generator = 'default',
+      seed = Math.random() * 10000,
+      time = 6000,
+      dayLength = 1200
+    } = options;
+    this.minChunkY = Math.floor(minHeight / this.chunkSize);
+    this.maxChunkY = Math.ceil(maxHeight / this.chunkSize) - 1;
+    this.minHeight = this.minChunkY * this.chunkSize;
+    this.maxHeight = (this.maxChunkY + 1) * this.chunkSize;
+    this.waterLevel = waterLevel;
+    
+    // Terrain generator: an instance (which brings its own seed), a name from
+    // WorldGenerators or a superflat preset string
+    if (generator instanceof WorldGenerator) {
+      this.seed = generator.seed;
+      this.generator = generator;
+      this.generatorSpec = null;
+    } else {
+      this.seed = seed;
+      
+      // Kept so workers can create the same generator (with their own copy of
+      // the block registry, which is sent to them separately)
+      this.generatorSpec = {
+        type: generator,
+        seed: this.seed,
+        options: { minHeight: this.minHeight, maxHeight: this.maxHeight, waterLevel: this.waterLevel, ores }
+      };
+      this.generator = createWorldGenerator(generator, this.seed, Object.assign({ blocks }, this.generatorSpec.options));
+    }
+    
+    // Time of day (see sky.js), which sets the sky and how bright sky light is
+    this.clock = new WorldClock(time, dayLength);
+    
     this.loadedChunks = []; // List of currently rendered chunks
     this.chunkMeshes = new Map(); // Map of chunk coordinates to mesh data
     
     // Cache of buffers for each chunk to avoid re-creating WebGL buffers
     this.chunkBuffers = new Map();
     
-    // Noise parameters for more interesting terrain
-    this.seed = Math.random() * 10000;
+    // Block definitions shared by every chunk of this world
+    this.blockRegistry = blocks;
+    
+    // Block textures (procedural unless an atlas is given), uploaded in init()
+    this.atlas = atlas || TextureAtlas.createFallback(this.blockRegistry);
+    this.atlasTexture = null;
+    
+    // Merge block faces into larger quads when meshing (see Chunk.buildMesh)
+    this.greedyMeshing = greedyMeshing;
+    
+    // Darken block corners by the blocks around them (see Chunk.getFaceAO)
+    this.ambientOcclusion = ambientOcclusion;
+    
+    // Structure templates, and the starts that have been placed
+    // ("template:regionX,regionZ" -> the start's chunk, { chunkX, chunkZ })
+    this.structures = structures;
+    this.placedStructures = new Map();
+    
+    // Decoration state: columns that have had their features placed, and the
+    // blocks features wrote into each chunk (chunk key -> local index -> write).
+    // Writes are kept after they're applied so they come back if the chunk is
+    // unloaded and regenerated, and so chunks that don't exist yet pick them up.
+    // Once the camera is far enough away all of it is forgotten, and placed
+    // again from the seed on the way back (see forgetDistantDecorations).
+    this.decoratedColumns = new Set();
+    this.pendingWrites = new Map();
+    
+    // Chunks whose mesh needs (re)building: new ones, edited ones, and those a
+    // neighbour's loading, unloading or edits reach into. updateChunks rebuilds
+    // up to remeshBudget of them each call, nearest first, so a big edit is
+    // spread over a few frames instead of stalling one.
+    this.dirtyChunks = new Set();
+    this.remeshBudget = remeshBudget;
+    
+    // What's in view, worked out whenever the camera enters another chunk:
+    // the chunks to keep loaded, and those still to be generated (nearest
+    // last). Without workers, updateChunks generates up to generationBudget a call.
+    this.view = null;
+    this.visibleChunkKeys = new Set();
+    this.nearChunkKeys = new Set();   // Those within full-height range (see updateVisibleChunks)
+    this.missingChunks = [];
+    this.generationBudget = generationBudget;
+    
+    // Levels of detail: chunks at least lodDistances[i] chunks away
+    // (horizontally) are meshed at level i + 1, with 2^(i + 1) blocks a side to
+    // each cell (see Chunk.buildLodMesh). Chunk key -> its current level.
+    this.lodDistances = lodDistances;
+    this.chunkLods = new Map();
+    
+    // Sky light and block light (see lighting.js), worked out as chunks are
+    // added and blocks change, on this thread
+    this.lighting = new LightEngine(this);
+    
+    // Background generation and meshing (a ChunkWorkerPool, see worker-pool.js).
+    // Without one everything happens synchronously in updateChunks. Worlds with
+    // a generator instance can't hand it to workers, so only mesh there.
+    // Decoration stays on this thread either way: features reach across chunk
+    // borders and need the world's record of what has been placed.
+    this.workerPool = workerPool;
+    this.pendingGenerations = new Map(); // Chunk key -> job id
+    this.pendingMeshes = new Map();      // Chunk key -> job id
+    
+    // Jobs that fail (the worker threw or died) are queued again, and after
+    // maxJobRetries retries done on this thread instead. Chunk key -> failures.
+    this.failedGenerations = new Map();
+    this.failedMeshes = new Map();
+    this.maxJobRetries = 2;
+    
+    // Chunks drawn and skipped by the last render: culled ones are outside the
+    // view frustum, occluded ones can't be seen from the camera's chunk
+    this.renderStats = { drawn: 0, culled: 0, occluded: 0 };
     
     // Init shader program info
     this.programInfo = null;
@@ -25,33 +170,570 @@ class World {
     
     if (!this.programInfo) {
       console.error('Program info is not available to initialize World');
+      return;
+    }
+    
+    this.atlasTexture = this.atlas.createTexture(this.gl);
+    
+    // Meshes too big for 16-bit indices are drawn with 32-bit ones where the
+    // GPU supports them, and split into smaller meshes where it doesn't
+    this.uintIndices = !!this.gl.getExtension('OES_element_index_uint');
+    
+    if (this.workerPool) {
+      this.initWorkers();
+    }
+  }
+  
+  // Give the workers what they need to generate and mesh this world's chunks
+  initWorkers() {
+    this.workerPool.broadcast({
+      type: 'init',
+      blocks: this.blockRegistry.getAll(),
+      tiles: this.atlas.getTileIndices(),
+      generator: this.generatorSpec
+    });
+  }
+  
+  // Switch to a different texture atlas (e.g. one loaded from an image) and remesh
+  setAtlas(atlas) {
+    this.atlas = atlas;
+    
+    if (this.programInfo) {
+      this.gl.deleteTexture(this.atlasTexture);
+      this.atlasTexture = this.atlas.createTexture(this.gl);
+    }
+    
+    // Texture coordinates are baked into the meshes
+    if (this.workerPool) {
+      this.initWorkers();
+    }
+    this.remeshAll();
+  }
+  
+  // Switch between the greedy and the naive (one quad per face) mesher
+  setGreedyMeshing(enabled) {
+    this.greedyMeshing = enabled;
+    this.remeshAll();
+  }
+  
+  // Turn ambient occlusion on or off
+  setAmbientOcclusion(enabled) {
+    this.ambientOcclusion = enabled;
+    this.remeshAll();
+  }
+  
+  // Queue the mesh of every chunk that has one to be rebuilt
+  remeshAll() {
+    for (const key of this.chunkMeshes.keys()) {
+      this.dirtyChunks.add(key);
+    }
+  }
+  
+  // Build a chunk's mesh with the world's atlas and meshing options. Loaded
+  // neighbours let the mesher cull the faces along the chunk's borders.
+  buildChunkMesh(chunkX, chunkY, chunkZ) {
+    const key = this.getChunkKey(chunkX, chunkY, chunkZ);
+    return this.chunks.get(key).buildMesh(this.atlas, Object.assign({
+      neighbours: this.getChunkNeighbours(chunkX, chunkY, chunkZ)
+    }, this.getMeshOptions(key)));
+  }
+  
+  // Meshing options for a chunk, from the world's settings and its level of detail
+  getMeshOptions(key) {
+    return { greedy: this.greedyMeshing, ambientOcclusion: this.ambientOcclusion, lod: this.chunkLods.get(key) || 0 };
+  }
+  
+  // Lookup of the loaded chunks around a chunk, by offset (for Chunk.buildMesh).
+  // Reduced-detail neighbours are left out, so their side counts as air: their
+  // simplified cells don't match the blocks, and culling against the blocks
+  // would leave holes along the border.
+  getChunkNeighbours(chunkX, chunkY, chunkZ) {
+    return (dx, dy, dz) => {
+      const key = this.getChunkKey(chunkX + dx, chunkY + dy, chunkZ + dz);
+      return this.chunkLods.get(key) ? null : this.chunks.get(key);
+    };
+  }
+  
+  // Mesh a chunk on a worker. The chunk and the border it needs from its
+  // neighbours are copied out now, so later edits don't race the worker; a
+  // request still running for the chunk is out of date and dropped.
+  requestChunkMesh(chunkX, chunkY, chunkZ) {
+    const key = this.getChunkKey(chunkX, chunkY, chunkZ);
+    this.cancelChunkMesh(key);
+    
+    // Reduced-detail meshes don't need the neighbours' blocks
+    const chunk = this.chunks.get(key);
+    const options = this.getMeshOptions(key);
+    const padded = chunk.getPaddedBlocks(options.lod > 0 ? null : this.getChunkNeighbours(chunkX, chunkY, chunkZ));
+    const message = { type: 'mesh', size: this.chunkSize, padded, options };
+    
+    const jobId = this.workerPool.run(message, [padded.blocks.buffer, padded.states.buffer, padded.light.buffer], ({ mesh }) => {
+      this.pendingMeshes.delete(key);
+      this.failedMeshes.delete(key);
+      this.setChunkMesh(key, mesh);
+    }, () => {
+      this.pendingMeshes.delete(key);
+      this.failedMeshes.set(key, (this.failedMeshes.get(key) || 0) + 1);
+      this.dirtyChunks.add(key);
+    });
+    this.pendingMeshes.set(key, jobId);
+  }
+  
+  // Forget a chunk's mesh request, if it has one running
+  cancelChunkMesh(key) {
+    if (this.pendingMeshes.has(key)) {
+      this.workerPool.cancel(this.pendingMeshes.get(key));
+      this.pendingMeshes.delete(key);
+    }
+  }
+  
+  // Generate a chunk on a worker; it's added to the world when it arrives
+  requestChunkGeneration(chunkX, chunkY, chunkZ) {
+    const key = this.getChunkKey(chunkX, chunkY, chunkZ);
+    const message = { type: 'generate', chunkX, chunkY, chunkZ, size: this.chunkSize };
+    
+    const jobId = this.workerPool.run(message, [], ({ blocks, states }) => {
+      this.pendingGenerations.delete(key);
+      this.failedGenerations.delete(key);
+      
+      // The chunk may have been generated here in the meantime (e.g. by setBlock)
+      if (this.chunks.has(key)) {
+        return;
+      }
+      const chunk = new Chunk(this.chunkSize, this.blockRegistry);
+      chunk.blocks = blocks;
+      chunk.states = states;
+      this.addChunk(chunkX, chunkY, chunkZ, chunk);
+    }, () => {
+      this.pendingGenerations.delete(key);
+      this.failedGenerations.set(key, (this.failedGenerations.get(key) || 0) + 1);
+      
+      // Back on the end of the queue, so it's the next to be generated
+      if (this.visibleChunkKeys.has(key)) {
+        this.missingChunks.push({ chunkX, chunkY, chunkZ, key, distSq: 0 });
+      }
+    });
+    this.pendingGenerations.set(key, jobId);
+  }
+  
+  // Whether any chunk around a chunk is in view but not generated yet
+  hasMissingNeighbours(chunkX, chunkY, chunkZ) {
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const key = this.getChunkKey(chunkX + dx, chunkY + dy, chunkZ + dz);
+          if (this.visibleChunkKeys.has(key) && !this.chunks.has(key)) {
+            return true;
+          }
+        }
+      }
+    }
+    return false;
+  }
+  
+  // Replace a chunk's mesh, reusing its buffers where the new mesh fits
+  setChunkMesh(key, mesh) {
+    this.chunkMeshes.set(key, mesh);
+    
+    const buffers = this.chunkBuffers.get(key);
+    if (!buffers) {
+      this.createChunkBuffers(key, mesh);
+      return;
     }
+    
+    buffers.opaque = this.uploadMeshBuffers(buffers.opaque, mesh.opaque, this.gl.STATIC_DRAW);
+    buffers.translucent = this.uploadMeshBuffers(buffers.translucent, mesh.translucent, this.gl.DYNAMIC_DRAW);
+    buffers.sortedFrom = null;
   }
   
   // Get chunk key from chunk coordinates
-  getChunkKey(chunkX, chunkZ) {
-    return `${chunkX},${chunkZ}`;
+  getChunkKey(chunkX, chunkY, chunkZ) {
+    return `${chunkX},${chunkY},${chunkZ}`;
+  }
+  
+  // Check whether a chunk section lies inside the world's vertical range
+  isChunkInWorld(chunkY) {
+    return chunkY >= this.minChunkY && chunkY <= this.maxChunkY;
   }
   
   // Generate a chunk at the given chunk coordinates
-  generateChunk(chunkX, chunkZ) {
-    const key = this.getChunkKey(chunkX, chunkZ);
+  generateChunk(chunkX, chunkY, chunkZ) {
+    const key = this.getChunkKey(chunkX, chunkY, chunkZ);
     
     // Create a new chunk if one doesn't exist
     if (!this.chunks.has(key)) {
-      const chunk = new Chunk(this.chunkSize);
+      const chunk = new Chunk(this.chunkSize, this.blockRegistry);
+      
+      // Fill the section from the world's generator
+      this.generator.generateChunk(chunk, chunkX, chunkY, chunkZ);
       
-      // Use world position to influence terrain generation
-      chunk.generateTerrain(chunkX, chunkZ, this.seed);
+      // A worker may still be generating it
+      if (this.pendingGenerations.has(key)) {
+        this.workerPool.cancel(this.pendingGenerations.get(key));
+        this.pendingGenerations.delete(key);
+      }
       
-      this.chunks.set(key, chunk);
+      this.addChunk(chunkX, chunkY, chunkZ, chunk);
       return chunk;
     }
     
     return this.chunks.get(key);
   }
   
-  // Update chunks based on camera position
+  // Add a freshly generated chunk to the world and decorate it
+  addChunk(chunkX, chunkY, chunkZ, chunk) {
+    const key = this.getChunkKey(chunkX, chunkY, chunkZ);
+    this.chunks.set(key, chunk);
+    this.failedGenerations.delete(key);
+    
+    // Mesh it, and rebuild the neighbours that were meshed without it (they
+    // drew their faces towards it)
+    this.dirtyChunks.add(key);
+    this.markNeighbourMeshesDirty(chunkX, chunkY, chunkZ);
+    
+    // Apply blocks that features (from neighbouring columns, or this one's
+    // when another of its sections was generated) placed in this chunk
+    this.applyPendingWrites(key, chunk);
+    
+    // Light it, and the chunks its light reaches
+    this.markLightDirty(this.lighting.lightChunk(chunkX, chunkY, chunkZ));
+    
+    // Decorate the column the first time any of its sections is generated;
+    // this chunk is lit by now, so it's relit like any other it changes
+    this.decorateColumn(chunkX, chunkZ);
+  }
+  
+  // Queue the meshes of chunks whose light changed to be rebuilt (the keys a
+  // LightEngine update returns). Reduced-detail meshes aren't lit.
+  markLightDirty(keys) {
+    for (const key of keys) {
+      if (this.chunks.has(key) && !this.chunkLods.get(key)) {
+        this.dirtyChunks.add(key);
+      }
+    }
+  }
+  
+  // Whether sky light comes straight from the sky into a block in the top
+  // layer of its chunk, with no chunk loaded above to bring it down: always at
+  // the top of the world; never while the chunk above is still to be loaded,
+  // as it brings its own light; otherwise (above the sections loaded around
+  // the camera) if the terrain in the block's column doesn't reach above it.
+  isSkyAbove(x, y, z) {
+    const chunkX = Math.floor(x / this.chunkSize);
+    const chunkY = Math.floor(y / this.chunkSize);
+    const chunkZ = Math.floor(z / this.chunkSize);
+    if (chunkY >= this.maxChunkY) {
+      return true;
+    }
+    if (this.visibleChunkKeys.has(this.getChunkKey(chunkX, chunkY + 1, chunkZ))) {
+      return false;
+    }
+    
+    const column = this.getTerrainColumn(x, z);
+    return Math.max(column.height, column.water) <= (chunkY + 1) * this.chunkSize;
+  }
+  
+  // Queue the meshed neighbours of a chunk to be rebuilt
+  // (diagonal ones too: ambient occlusion at their corners looks into this chunk).
+  // Reduced-detail meshes don't look at their neighbours, so they're left alone.
+  markNeighbourMeshesDirty(chunkX, chunkY, chunkZ) {
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const key = this.getChunkKey(chunkX + dx, chunkY + dy, chunkZ + dz);
+          if ((dx !== 0 || dy !== 0 || dz !== 0) && this.chunkMeshes.has(key) && !this.chunkLods.get(key)) {
+            this.dirtyChunks.add(key);
+          }
+        }
+      }
+    }
+  }
+  
+  // Place structures, trees and vegetation for a chunk column, deterministically
+  // from the seed. Features may reach into neighbouring chunks, loaded or not.
+  decorateColumn(chunkX, chunkZ) {
+    const columnKey = `${chunkX},${chunkZ}`;
+    if (this.decoratedColumns.has(columnKey)) {
+      return;
+    }
+    this.decoratedColumns.add(columnKey);
+    
+    // Some generators (flat, void) leave their terrain bare
+    if (!this.generator.decorate) {
+      return;
+    }
+    
+    // Blocks that features wrote into loaded chunks, which need new meshes and light
+    const changedBlocks = [];
+    const place = (x, y, z, blockName, replace = false) => {
+      this.placeDecorationBlock(x, y, z, blockName, replace ? DECORATION_REPLACE : DECORATION_FILL, changedBlocks);
+    };
+    const placeStructureBlock = (x, y, z, blockName) => {
+      this.placeDecorationBlock(x, y, z, blockName, DECORATION_STRUCTURE, changedBlocks);
+    };
+    
+    // Structures first, so plants only grow into the space they leave
+    this.placeStructures(chunkX, chunkZ, placeStructureBlock);
+    
+    for (let x = 0; x < this.chunkSize; x++) {
+      for (let z = 0; z < this.chunkSize; z++) {
+        const worldX = chunkX * this.chunkSize + x;
+        const worldZ = chunkZ * this.chunkSize + z;
+        const { height, water, biome, river } = this.generator.getColumn(worldX, worldZ);
+        
+        // Nothing grows on shores, river banks or underwater
+        if (height < water + 2 || river) {
+          continue;
+        }
+        
+        // Every column gets its own random sequence so the result doesn't depend on load order
+        const random = Noise.createRandom(`${this.seed}:${worldX}:${worldZ}`);
+        
+        if (random() >= biome.decorationDensity) {
+          continue;
+        }
+        
+        // Pick a feature from the biome's weighted list
+        const entries = Object.entries(biome.decorations);
+        const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = random() * totalWeight;
+        for (const [featureName, weight] of entries) {
+          roll -= weight;
+          if (roll < 0) {
+            Features[featureName](place, worldX, height, worldZ, random);
+            break;
+          }
+        }
+      }
+    }
+    
+    // Remesh and relight loaded chunks that changed
+    for (const [x, y, z] of changedBlocks) {
+      this.markBlockDirty(x, y, z);
+    }
+    this.markLightDirty(this.lighting.updateBlocks(changedBlocks));
+  }
+  
+  // Get the generated terrain height, water level and biome of a world column
+  getTerrainColumn(x, z) {
+    return this.generator.getColumn(Math.floor(x), Math.floor(z));
+  }
+  
+  // Get a position to start the player at: just above the ground (or water) at the origin
+  getSpawnPoint() {
+    const column = this.getTerrainColumn(0, 0);
+    return [0.5, Math.max(column.height, column.water) + 2, 0.5];
+  }
+  
+  // Place every structure whose start is close enough to reach this chunk column.
+  // Each start is placed in full the first time any column it touches is generated.
+  placeStructures(chunkX, chunkZ, place) {
+    for (const template of this.structures.getPlaceable()) {
+      const spacing = template.placement.spacing;
+      const reach = Math.ceil(this.structures.getReach(template) / this.chunkSize);
+      
+      // Regions that could hold a start within reach of this column
+      const minRegionX = Math.floor((chunkX - reach) / spacing);
+      const maxRegionX = Math.floor((chunkX + reach) / spacing);
+      const minRegionZ = Math.floor((chunkZ - reach) / spacing);
+      const maxRegionZ = Math.floor((chunkZ + reach) / spacing);
+      
+      for (let regionX = minRegionX; regionX <= maxRegionX; regionX++) {
+        for (let regionZ = minRegionZ; regionZ <= maxRegionZ; regionZ++) {
+          const start = this.getStructureStart(template, regionX, regionZ);
+          if (!start || Math.abs(start.chunkX - chunkX) > reach || Math.abs(start.chunkZ - chunkZ) > reach) {
+            continue;
+          }
+          
+          const startKey = `${template.id}:${regionX},${regionZ}`;
+          if (this.placedStructures.has(startKey)) {
+            continue;
+          }
+          this.placedStructures.set(startKey, { chunkX: start.chunkX, chunkZ: start.chunkZ });
+          
+          this.placeStructure(template, start, place);
+        }
+      }
+    }
+  }
+  
+  // Work out where (if anywhere) a structure starts in a region.
+  // Starts keep `separation` chunks clear at the far edge of each region.
+  getStructureStart(template, regionX, regionZ) {
+    const { spacing, separation, chance } = template.placement;
+    const random = Noise.createRandom(`${this.seed}:structure:${template.id}:${regionX}:${regionZ}`);
+    
+    if (random() >= chance) {
+      return null;
+    }
+    
+    const range = Math.max(1, spacing - separation);
+    return {
+      chunkX: regionX * spacing + Math.floor(random() * range),
+      chunkZ: regionZ * spacing + Math.floor(random() * range),
+      random
+    };
+  }
+  
+  // Pick the exact position and orientation of a structure start and place it
+  placeStructure(template, start, place) {
+    const { random } = start;
+    const placement = template.placement;
+    
+    const x = start.chunkX * this.chunkSize + Math.floor(random() * this.chunkSize);
+    const z = start.chunkZ * this.chunkSize + Math.floor(random() * this.chunkSize);
+    const rotation = Math.floor(random() * 4);
+    const mirror = random() < 0.5;
+    
+    // Biome filter applies at the origin
+    const column = this.getTerrainColumn(x, z);
+    if (placement.biomes.length > 0 && !placement.biomes.includes(column.biome.id)) {
+      return;
+    }
+    
+    if (placement.terrain === 'underground') {
+      const y = placement.minY + Math.floor(random() * (placement.maxY - placement.minY));
+      
+      // Keep it buried under a couple of blocks of ground
+      if (y + template.layers.length > column.height - 2) {
+        return;
+      }
+      
+      this.placeTemplate(template, x, y, z, rotation, mirror, place);
+    } else {
+      // Surface structures don't float on water
+      if (column.height < column.water) {
+        return;
+      }
+      
+      this.placeTemplate(template, x, null, z, rotation, mirror, place);
+    }
+  }
+  
+  // Write a template's blocks around an origin. A null y means "on the ground":
+  // the template (and each piece of a composite) sits on the average terrain
+  // height under its footprint, with its foundation filling any gap below.
+  placeTemplate(template, originX, originY, originZ, rotation, mirror, place) {
+    const placement = template.placement;
+    const transform = (x, z) => StructureTemplate.transform(x, z, rotation, mirror);
+    
+    if (template.layers.length > 0) {
+      let baseY = originY;
+      if (baseY === null) {
+        baseY = this.getFootprintGround(template, originX, originZ, transform);
+      }
+      baseY += placement.offsetY;
+      
+      for (const [bx, by, bz, blockName] of template.blocks) {
+        const [dx, dz] = transform(bx, bz);
+        const x = originX + dx;
+        const z = originZ + dz;
+        place(x, baseY + by, z, blockName);
+        
+        // Extend solid bottom-layer blocks down to the ground
+        if (by === 0 && placement.foundation && blockName !== 'AIR') {
+          const ground = this.getTerrainColumn(x, z).height;
+          for (let y = ground; y < baseY; y++) {
+            place(x, y, z, placement.foundation);
+          }
+        }
+      }
+    }
+    
+    // Composite pieces share the parent's orientation (their y offset only applies underground)
+    for (const piece of template.pieces) {
+      const child = this.structures.get(piece.template);
+      const [offsetX, offsetY, offsetZ] = piece.offset;
+      const [dx, dz] = transform(offsetX, offsetZ);
+      const y = originY === null ? null : originY + offsetY;
+      this.placeTemplate(child, originX + dx, y, originZ + dz, rotation, mirror, place);
+    }
+  }
+  
+  // Average ground height under the corners and centre of a template's footprint
+  getFootprintGround(template, originX, originZ, transform) {
+    const rows = template.layers[0];
+    const maxX = Math.max(...rows.map(row => row.length)) - 1;
+    const maxZ = rows.length - 1;
+    const samples = [[0, 0], [maxX, 0], [0, maxZ], [maxX, maxZ], [maxX >> 1, maxZ >> 1]];
+    
+    let total = 0;
+    for (const [sx, sz] of samples) {
+      const [dx, dz] = transform(sx, sz);
+      total += this.getTerrainColumn(originX + dx, originZ + dz).height;
+    }
+    
+    return Math.round(total / samples.length);
+  }
+  
+  // Record a decoration block with its priority (DECORATION_FILL and so on),
+  // and write it straight into the chunk if it's loaded
+  placeDecorationBlock(x, y, z, blockName, priority, changedBlocks) {
+    // Features can't grow out of the world
+    if (y < this.minHeight || y >= this.maxHeight) {
+      return;
+    }
+    
+    const chunkX = Math.floor(x / this.chunkSize);
+    const chunkY = Math.floor(y / this.chunkSize);
+    const chunkZ = Math.floor(z / this.chunkSize);
+    const key = this.getChunkKey(chunkX, chunkY, chunkZ);
+    
+    const blockX = x - chunkX * this.chunkSize;
+    const blockY = y - chunkY * this.chunkSize;
+    const blockZ = z - chunkZ * this.chunkSize;
+    const index = blockX + (blockY * this.chunkSize) + (blockZ * this.chunkSize * this.chunkSize);
+    
+    let writes = this.pendingWrites.get(key);
+    if (!writes) {
+      writes = new Map();
+      this.pendingWrites.set(key, writes);
+    }
+    
+    // Keep an earlier write that outranks this one (see DECORATION_FILL)
+    const existing = writes.get(index);
+    if (existing && (existing.priority > priority || priority === DECORATION_FILL)) {
+      return;
+    }
+    const write = { blockName, replace: priority !== DECORATION_FILL, priority };
+    writes.set(index, write);
+    
+    const chunk = this.chunks.get(key);
+    if (chunk && this.applyDecorationWrite(chunk, blockX, blockY, blockZ, write)) {
+      changedBlocks.push([x, y, z]);
+    }
+  }
+  
+  // Apply all recorded decoration blocks for a chunk
+  applyPendingWrites(key, chunk) {
+    const writes = this.pendingWrites.get(key);
+    if (!writes) {
+      return;
+    }
+    
+    for (const [index, write] of writes) {
+      const blockX = index % this.chunkSize;
+      const blockY = Math.floor(index / this.chunkSize) % this.chunkSize;
+      const blockZ = Math.floor(index / (this.chunkSize * this.chunkSize));
+      this.applyDecorationWrite(chunk, blockX, blockY, blockZ, write);
+    }
+  }
+  
+  // Write one decoration block into a chunk, returns true if the chunk changed
+  applyDecorationWrite(chunk, x, y, z, write) {
+    const blockType = chunk.registry.types[write.blockName];
+    const current = chunk.getBlock(x, y, z);
+    
+    if (current === blockType || (!write.replace && current !== chunk.registry.types.AIR)) {
+      return false;
+    }
+    
+    chunk.setBlock(x, y, z, blockType);
+    return true;
+  }
+  
+  // Update chunks based on camera position: work out what's in view when the
+  // camera enters another chunk, then generate missing chunks and rebuild dirty meshes
   updateChunks(cameraPosition) {
     if (!this.programInfo) {
       console.error('Cannot update chunks: programInfo is not initialized');
@@ -60,45 +742,116 @@ class World {
 
     // Convert camera position to chunk coordinates
     const centerChunkX = Math.floor(cameraPosition[0] / this.chunkSize);
+    const centerChunkY = Math.floor(cameraPosition[1] / this.chunkSize);
     const centerChunkZ = Math.floor(cameraPosition[2] / this.chunkSize);
     
-    // Track which chunks should be visible
+    const view = `${centerChunkX},${centerChunkY},${centerChunkZ},${this.renderDistance}`;
+    if (view !== this.view) {
+      this.view = view;
+      this.updateVisibleChunks(centerChunkX, centerChunkY, centerChunkZ);
+    }
+    
+    // Generate missing chunks, nearest first (which matters when workers take
+    // their time): on workers if the generator can be sent to them, otherwise
+    // up to generationBudget of them per update
+    let generated = 0;
+    while (this.missingChunks.length > 0) {
+      const { chunkX, chunkY, chunkZ, key } = this.missingChunks[this.missingChunks.length - 1];
+      if (!this.chunks.has(key) && !this.pendingGenerations.has(key)) {
+        if (this.workerPool && this.generatorSpec && !(this.failedGenerations.get(key) > this.maxJobRetries)) {
+          this.requestChunkGeneration(chunkX, chunkY, chunkZ);
+        } else if (generated < this.generationBudget) {
+          this.generateChunk(chunkX, chunkY, chunkZ);
+          generated++;
+        } else {
+          break;
+        }
+      }
+      this.missingChunks.pop();
+    }
+    
+    // (Re)build dirty meshes now that this update's chunks are generated, so
+    // new chunks have most of their neighbours to cull against: the nearest
+    // first, up to the budget; the rest stay dirty for the next update
+    const dirtyChunks = [];
+    for (const key of this.dirtyChunks) {
+      if (!this.chunks.has(key) || !this.visibleChunkKeys.has(key)) {
+        this.dirtyChunks.delete(key);
+        continue;
+      }
+      
+      // A new chunk at full detail waits until the chunks around it have arrived too
+      const [chunkX, chunkY, chunkZ] = key.split(',').map(Number);
+      if (!this.chunkMeshes.has(key) && !this.chunkLods.get(key) && this.hasMissingNeighbours(chunkX, chunkY, chunkZ)) {
+        continue;
+      }
+      
+      const distSq = (chunkX - centerChunkX) ** 2 + (chunkY - centerChunkY) ** 2 + (chunkZ - centerChunkZ) ** 2;
+      dirtyChunks.push({ chunkX, chunkY, chunkZ, key, distSq });
+    }
+    
+    dirtyChunks.sort((a, b) => a.distSq - b.distSq);
+    for (const { chunkX, chunkY, chunkZ, key } of dirtyChunks.slice(0, this.remeshBudget)) {
+      this.dirtyChunks.delete(key);
+      this.updateChunkMesh(chunkX, chunkY, chunkZ);
+    }
+  }
+  
+  // Work out which chunks are in view around the camera's chunk and at what
+  // level of detail, unload the ones that left it and queue the missing ones
+  updateVisibleChunks(centerChunkX, centerChunkY, centerChunkZ) {
+    // Near the camera, sections within render distance vertically are loaded
+    // (no farther than full detail reaches, though); beyond that, where the
+    // underground can't be seen anyway, only the ones around the surface
+    const nearDistance = Math.min(this.renderDistance, this.lodDistances.length > 0 ? this.lodDistances[0] : Infinity);
+    
     const visibleChunkKeys = new Set();
+    const nearChunkKeys = new Set();
+    const missingChunks = [];
     
-    // Generate chunks within render distance
+    // Find chunks within render distance
     for (let x = -this.renderDistance; x <= this.renderDistance; x++) {
       for (let z = -this.renderDistance; z <= this.renderDistance; z++) {
-        const chunkX = centerChunkX + x;
-        const chunkZ = centerChunkZ + z;
-        const key = this.getChunkKey(chunkX, chunkZ);
-        
         // Skip chunks that are too far (use circular render distance)
         const distSq = x * x + z * z;
         if (distSq > this.renderDistance * this.renderDistance) {
           continue;
         }
+        const distance = Math.sqrt(distSq);
         
-        visibleChunkKeys.add(key);
-        
-        // Generate the chunk if it doesn't exist
-        if (!this.chunks.has(key)) {
-          this.generateChunk(chunkX, chunkZ);
-        }
+        const chunkX = centerChunkX + x;
+        const chunkZ = centerChunkZ + z;
+        let [minChunkY, maxChunkY] = distance <= nearDistance
+          ? [centerChunkY - nearDistance, centerChunkY + nearDistance]
+          : this.getSurfaceSections(chunkX, chunkZ);
+        minChunkY = Math.max(this.minChunkY, minChunkY);
+        maxChunkY = Math.min(this.maxChunkY, maxChunkY);
         
-        // Build the mesh if needed
-        if (!this.chunkMeshes.has(key)) {
-          const chunk = this.chunks.get(key);
-          const mesh = chunk.buildMesh();
-          this.chunkMeshes.set(key, mesh);
-          this.createChunkBuffers(key, mesh);
+        for (let chunkY = minChunkY; chunkY <= maxChunkY; chunkY++) {
+          const key = this.getChunkKey(chunkX, chunkY, chunkZ);
+          visibleChunkKeys.add(key);
+          if (distance <= nearDistance) {
+            nearChunkKeys.add(key);
+          }
+          this.updateChunkLod(key, distance);
+          
+          if (!this.chunks.has(key) && !this.pendingGenerations.has(key)) {
+            missingChunks.push({ chunkX, chunkY, chunkZ, key, distSq: distSq + (chunkY - centerChunkY) ** 2 });
+          }
         }
       }
     }
     
+    // Nearest last, so updateChunks can take them off the end
+    missingChunks.sort((a, b) => b.distSq - a.distSq);
+    this.missingChunks = missingChunks;
+    this.visibleChunkKeys = visibleChunkKeys;
+    this.nearChunkKeys = nearChunkKeys;
+    
     // Update the list of chunks that should be rendered
     this.loadedChunks = Array.from(visibleChunkKeys).map(key => {
-      const [chunkX, chunkZ] = key.split(',').map(Number);
-      return { chunkX, chunkZ, key };
+      const [chunkX, chunkY, chunkZ] = key.split(',').map(Number);
+      return { chunkX, chunkY, chunkZ, key };
     });
     
     // Clean up chunks that are too far away (memory management)
@@ -115,49 +868,229 @@ class World {
       this.chunkMeshes.delete(key);
       
       // Delete WebGL buffers to free GPU memory
-      if (this.chunkBuffers.has(key)) {
-        const buffers = this.chunkBuffers.get(key);
-        this.gl.deleteBuffer(buffers.position);
-        this.gl.deleteBuffer(buffers.color);
-        this.gl.deleteBuffer(buffers.indices);
-        this.chunkBuffers.delete(key);
+      this.deleteChunkBuffers(key);
+    }
+    for (const map of [this.chunkLods, this.failedGenerations, this.failedMeshes]) {
+      for (const key of map.keys()) {
+        if (!visibleChunkKeys.has(key)) {
+          map.delete(key);
+        }
+      }
+    }
+    
+    this.forgetDistantDecorations(centerChunkX, centerChunkZ);
+    
+    // Chunks left next to unloaded ones draw their faces towards them again
+    for (const key of chunksToRemove) {
+      const [chunkX, chunkY, chunkZ] = key.split(',').map(Number);
+      this.markNeighbourMeshesDirty(chunkX, chunkY, chunkZ);
+    }
+    
+    // Cancel worker jobs for chunks that left the render distance before they finished
+    for (const pending of [this.pendingGenerations, this.pendingMeshes]) {
+      for (const [key, jobId] of pending) {
+        if (!visibleChunkKeys.has(key)) {
+          this.workerPool.cancel(jobId);
+          pending.delete(key);
+        }
+      }
+    }
+  }
+  
+  // Forget the decorations of columns and structures too far away for anything
+  // they placed to be loaded, and the writes recorded for chunks once nothing
+  // that wrote them is remembered, so exploring doesn't keep adding to them.
+  // Everything is placed again from the seed, the same as before, if those
+  // columns are generated again.
+  forgetDistantDecorations(centerChunkX, centerChunkZ) {
+    // Chunks (horizontally) from a column or structure start to the farthest
+    // block it places: trees stay within a chunk of their column, structures
+    // reach as far as their templates do from somewhere in the start chunk
+    let reach = 1;
+    for (const template of this.structures.getPlaceable()) {
+      reach = Math.max(reach, Math.ceil(this.structures.getReach(template) / this.chunkSize) + 1);
+    }
+    
+    const isBeyond = (chunkX, chunkZ, distance) =>
+      Math.max(Math.abs(chunkX - centerChunkX), Math.abs(chunkZ - centerChunkZ)) > this.renderDistance + distance;
+    
+    for (const columnKey of this.decoratedColumns) {
+      const [chunkX, chunkZ] = columnKey.split(',').map(Number);
+      if (isBeyond(chunkX, chunkZ, reach)) {
+        this.decoratedColumns.delete(columnKey);
+      }
+    }
+    for (const [startKey, { chunkX, chunkZ }] of this.placedStructures) {
+      if (isBeyond(chunkX, chunkZ, reach)) {
+        this.placedStructures.delete(startKey);
+      }
+    }
+    
+    // Whatever wrote into these chunks is at least reach + 1 beyond the render
+    // distance, so it was forgotten above
+    for (const key of this.pendingWrites.keys()) {
+      const [chunkX, , chunkZ] = key.split(',').map(Number);
+      if (isBeyond(chunkX, chunkZ, 2 * reach)) {
+        this.pendingWrites.delete(key);
       }
     }
   }
   
-  // Create WebGL buffers for a chunk
+  // The range of sections around a chunk column's terrain surface (and water),
+  // from a few samples of the generator's heights
+  getSurfaceSections(chunkX, chunkZ) {
+    let low = Infinity;
+    let high = -Infinity;
+    for (const [x, z] of [[0, 0], [this.chunkSize - 1, 0], [0, this.chunkSize - 1], [this.chunkSize - 1, this.chunkSize - 1], [this.chunkSize / 2, this.chunkSize / 2]]) {
+      const column = this.generator.getColumn(chunkX * this.chunkSize + x, chunkZ * this.chunkSize + z);
+      low = Math.min(low, column.height);
+      high = Math.max(high, column.height, column.water);
+    }
+    
+    // A section of slack each way, for dips between the samples and for trees
+    return [Math.floor(low / this.chunkSize) - 1, Math.floor(high / this.chunkSize) + 1];
+  }
+  
+  // Set a chunk's level of detail from its horizontal distance (in chunks),
+  // queueing it for a new mesh when the level changes. Within LOD_HYSTERESIS of
+  // the boundary between two levels a chunk keeps the level it has, so moving
+  // back and forth across the boundary doesn't keep remeshing it.
+  updateChunkLod(key, distance) {
+    let lod = 0;
+    while (lod < this.lodDistances.length && distance >= this.lodDistances[lod]) {
+      lod++;
+    }
+    
+    const current = this.chunkLods.get(key);
+    if (current === lod) {
+      return;
+    }
+    if (current !== undefined) {
+      const boundary = this.lodDistances[lod > current ? lod - 1 : lod];
+      if (Math.abs(distance - boundary) < LOD_HYSTERESIS) {
+        return;
+      }
+      if (this.chunkMeshes.has(key)) {
+        this.dirtyChunks.add(key);
+      }
+      
+      // Full-detail neighbours draw their faces along the border with a
+      // reduced-detail chunk, and cull them against a full-detail one
+      if (current === 0 || lod === 0) {
+        const [chunkX, chunkY, chunkZ] = key.split(',').map(Number);
+        this.markNeighbourMeshesDirty(chunkX, chunkY, chunkZ);
+      }
+    }
+    this.chunkLods.set(key, lod);
+  }
+  
+  // Create WebGL buffers for a chunk's opaque and translucent meshes. Each mesh
+  // gets a list of { vertices, indices, indexCount, indexType, mesh } buffers
+  // (plus their capacities in bytes): usually one, none when it's empty, more
+  // when it had to be split.
   createChunkBuffers(chunkKey, mesh) {
     if (!this.programInfo) {
       console.error('Cannot create chunk buffers: programInfo is not initialized');
       return;
     }
-
-    // Create position buffer
-    const positionBuffer = this.gl.createBuffer();
-    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, positionBuffer);
-    this.gl.bufferData(this.gl.ARRAY_BUFFER, mesh.positions, this.gl.STATIC_DRAW);
-    
-    // Create color buffer
-    const colorBuffer = this.gl.createBuffer();
-    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, colorBuffer);
-    this.gl.bufferData(this.gl.ARRAY_BUFFER, mesh.colors, this.gl.STATIC_DRAW);
-    
-    // Create index buffer
-    const indexBuffer = this.gl.createBuffer();
-    this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
-    this.gl.bufferData(this.gl.ELEMENT_ARRAY_BUFFER, mesh.indices, this.gl.STATIC_DRAW);
-    
-    // Store buffers and index count
+    
     this.chunkBuffers.set(chunkKey, {
-      position: positionBuffer,
-      color: colorBuffer,
-      indices: indexBuffer,
-      indexCount: mesh.indices.length
+      opaque: this.createMeshBuffers(mesh.opaque, this.gl.STATIC_DRAW),
+      // Translucent indices are re-uploaded whenever the quads are re-sorted
+      translucent: this.createMeshBuffers(mesh.translucent, this.gl.DYNAMIC_DRAW),
+      // Camera position the translucent quads were last sorted for
+      sortedFrom: null
+    });
+  }
+  
+  // The pieces a mesh is drawn in: none if it's empty, and more than one if it
+  // needs 32-bit indices the GPU doesn't have
+  getMeshPieces(mesh) {
+    if (mesh.indices.length === 0) {
+      return [];
+    }
+    return this.uintIndices ? [mesh] : Chunk.splitMesh(mesh);
+  }
+  
+  // Create the vertex and index buffers for one mesh (or its pieces), with
+  // room to spare (see MESH_BUFFER_HEADROOM)
+  createMeshBuffers(mesh, indexUsage) {
+    return this.getMeshPieces(mesh).map(piece => {
+      const vertexCapacity = Math.ceil(piece.vertices.byteLength * MESH_BUFFER_HEADROOM / 4) * 4;
+      const indexCapacity = Math.ceil(piece.indices.byteLength * MESH_BUFFER_HEADROOM / 4) * 4;
+      
+      // Create the interleaved vertex buffer
+      const vertexBuffer = this.gl.createBuffer();
+      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, vertexBuffer);
+      this.gl.bufferData(this.gl.ARRAY_BUFFER, vertexCapacity, this.gl.STATIC_DRAW);
+      
+      // Create index buffer
+      const indexBuffer = this.gl.createBuffer();
+      this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+      this.gl.bufferData(this.gl.ELEMENT_ARRAY_BUFFER, indexCapacity, indexUsage);
+      
+      const buffers = { vertices: vertexBuffer, indices: indexBuffer, vertexCapacity, indexCapacity };
+      this.writeMeshBuffers(buffers, piece);
+      return buffers;
     });
   }
   
-  // Render all visible chunks
-  render(viewMatrix, projectionMatrix) {
+  // Put a mesh into existing buffers with bufferSubData if every piece fits,
+  // otherwise into new ones. Returns the buffers to keep.
+  uploadMeshBuffers(meshBuffers, mesh, indexUsage) {
+    const pieces = this.getMeshPieces(mesh);
+    const fits = pieces.length === meshBuffers.length && pieces.every((piece, i) =>
+      piece.vertices.byteLength <= meshBuffers[i].vertexCapacity &&
+      piece.indices.byteLength <= meshBuffers[i].indexCapacity);
+    
+    if (!fits) {
+      this.deleteMeshBuffers(meshBuffers);
+      return this.createMeshBuffers(mesh, indexUsage);
+    }
+    
+    pieces.forEach((piece, i) => this.writeMeshBuffers(meshBuffers[i], piece));
+    return meshBuffers;
+  }
+  
+  // Write one mesh piece into the start of its buffers
+  writeMeshBuffers(buffers, piece) {
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffers.vertices);
+    this.gl.bufferSubData(this.gl.ARRAY_BUFFER, 0, piece.vertices);
+    this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, buffers.indices);
+    this.gl.bufferSubData(this.gl.ELEMENT_ARRAY_BUFFER, 0, piece.indices);
+    
+    buffers.indexCount = piece.indices.length;
+    buffers.indexType = piece.indices instanceof Uint32Array ? this.gl.UNSIGNED_INT : this.gl.UNSIGNED_SHORT;
+    buffers.mesh = piece;
+  }
+  
+  // Delete a chunk's WebGL buffers, if it has any
+  deleteChunkBuffers(chunkKey) {
+    const buffers = this.chunkBuffers.get(chunkKey);
+    if (!buffers) {
+      return;
+    }
+    
+    this.deleteMeshBuffers(buffers.opaque);
+    this.deleteMeshBuffers(buffers.translucent);
+    this.chunkBuffers.delete(chunkKey);
+  }
+  
+  // Delete the buffers of one of a chunk's meshes
+  deleteMeshBuffers(meshBuffers) {
+    for (const buffers of meshBuffers) {
+      this.gl.deleteBuffer(buffers.vertices);
+      this.gl.deleteBuffer(buffers.indices);
+    }
+  }
+  
+  // Render all visible chunks: opaque geometry front to back (so nearer chunks
+  // hide the pixels of farther ones early), then translucent geometry back to
+  // front with blending and without depth writes, so water behind water shows.
+  // Chunks outside the view frustum are skipped, and so are nearby ones that
+  // can't be seen from the camera's chunk (see getReachableChunks);
+  // renderStats counts them.
+  render(viewMatrix, projectionMatrix, cameraPosition) {
     if (!this.programInfo) {
       console.error('Cannot render: programInfo is not initialized');
       return;
@@ -166,196 +1099,492 @@ class World {
     // Use our shader program
     this.gl.useProgram(this.programInfo.program);
     
-    // Loop through all loaded chunks and render them
+    // Every chunk samples the same atlas, on texture unit 0
+    this.gl.activeTexture(this.gl.TEXTURE0);
+    this.gl.bindTexture(this.gl.TEXTURE_2D, this.atlasTexture);
+    this.gl.uniform1i(this.programInfo.uniformLocations.atlas, 0);
+    this.gl.uniform1f(this.programInfo.uniformLocations.atlasColumns, this.atlas.columns);
+    this.gl.uniform1f(this.programInfo.uniformLocations.atlasCellSpan, this.atlas.cellSize / this.atlas.size);
+    this.gl.uniform1f(this.programInfo.uniformLocations.atlasPadding, this.atlas.padding / this.atlas.size);
+    this.gl.uniform1f(this.programInfo.uniformLocations.tileSpan, this.atlas.tileSize / this.atlas.size);
+    
+    // Shading the vertices only refer to by face, occlusion and light level
+    this.gl.uniform1fv(this.programInfo.uniformLocations.faceShading, FACE_SHADING);
+    this.gl.uniform1fv(this.programInfo.uniformLocations.aoBrightness, AO_BRIGHTNESS);
+    this.gl.uniform1fv(this.programInfo.uniformLocations.lightBrightness, LIGHT_BRIGHTNESS);
+    this.gl.uniform1f(this.programInfo.uniformLocations.skyLight, this.clock.getSky().daylight);
+    this.gl.uniformMatrix4fv(this.programInfo.uniformLocations.projectionMatrix, false, projectionMatrix);
+    
+    // World-space frustum planes, to test the chunks' bounding boxes against
+    const viewProjection = mat4.multiply(mat4.create(), projectionMatrix, viewMatrix);
+    const planes = frustum.fromMatrix(frustum.create(), viewProjection);
+    const reachable = this.getReachableChunks(cameraPosition, planes);
+    this.renderStats.drawn = 0;
+    this.renderStats.culled = 0;
+    this.renderStats.occluded = 0;
+    
+    // Chunks in view that have something to draw, nearest first
+    const half = this.chunkSize / 2;
+    const chunks = [];
     for (const chunk of this.loadedChunks) {
-      const { chunkX, chunkZ, key } = chunk;
+      const buffers = this.chunkBuffers.get(chunk.key);
+      if (!buffers || (buffers.opaque.length === 0 && buffers.translucent.length === 0)) {
+        continue;
+      }
       
-      // Skip chunks that don't have buffers
-      if (!this.chunkBuffers.has(key)) {
+      if (!this.isChunkInFrustum(planes, chunk.chunkX, chunk.chunkY, chunk.chunkZ)) {
+        this.renderStats.culled++;
         continue;
       }
+      if (reachable && this.nearChunkKeys.has(chunk.key) && !reachable.has(chunk.key)) {
+        this.renderStats.occluded++;
+        continue;
+      }
+      this.renderStats.drawn++;
       
-      const buffers = this.chunkBuffers.get(key);
+      const dx = chunk.chunkX * this.chunkSize + half - cameraPosition[0];
+      const dy = chunk.chunkY * this.chunkSize + half - cameraPosition[1];
+      const dz = chunk.chunkZ * this.chunkSize + half - cameraPosition[2];
+      chunks.push({ chunk, distance: dx * dx + dy * dy + dz * dz });
+    }
+    chunks.sort((a, b) => a.distance - b.distance);
+    
+    for (const { chunk } of chunks) {
+      this.drawMeshBuffers(this.chunkBuffers.get(chunk.key).opaque, chunk, viewMatrix);
+    }
+    
+    this.gl.enable(this.gl.BLEND);
+    this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
+    this.gl.depthMask(false);
+    
+    for (let i = chunks.length - 1; i >= 0; i--) {
+      const { chunk } = chunks[i];
+      const buffers = this.chunkBuffers.get(chunk.key);
+      if (buffers.translucent.length === 0) {
+        continue;
+      }
       
-      // Set up model matrix for the chunk
-      const modelMatrix = mat4.create();
-      const worldX = chunkX * this.chunkSize;
-      const worldZ = chunkZ * this.chunkSize;
+      this.sortTranslucentQuads(chunk, buffers, cameraPosition);
+      this.drawMeshBuffers(buffers.translucent, chunk, viewMatrix);
+    }
+    
+    this.gl.depthMask(true);
+    this.gl.disable(this.gl.BLEND);
+  }
+  
+  // Whether any of a chunk's box is inside the frustum planes
+  isChunkInFrustum(planes, chunkX, chunkY, chunkZ) {
+    const min = CHUNK_BOX_MIN;
+    const max = CHUNK_BOX_MAX;
+    min[0] = chunkX * this.chunkSize;
+    min[1] = chunkY * this.chunkSize;
+    min[2] = chunkZ * this.chunkSize;
+    max[0] = min[0] + this.chunkSize;
+    max[1] = min[1] + this.chunkSize;
+    max[2] = min[2] + this.chunkSize;
+    return frustum.intersectsBox(planes, min, max);
+  }
+  
+  // Keys of the nearby chunks that might be seen from the camera: a flood fill
+  // out from the camera's chunk through those in the frustum, going from one
+  // chunk into the next only where its visibility (see Chunk.getVisibility)
+  // connects the side it was entered by to the side it's left by. The fill
+  // never turns back on a direction it has already gone in, since a line of
+  // sight can't either. Chunks not meshed yet count as open. Only covers
+  // nearChunkKeys, as farther columns are loaded just around the surface;
+  // returns null when the camera isn't among them (e.g. above the world).
+  getReachableChunks(cameraPosition, planes) {
+    const startX = Math.floor(cameraPosition[0] / this.chunkSize);
+    const startY = Math.floor(cameraPosition[1] / this.chunkSize);
+    const startZ = Math.floor(cameraPosition[2] / this.chunkSize);
+    const startKey = this.getChunkKey(startX, startY, startZ);
+    if (!this.nearChunkKeys.has(startKey)) {
+      return null;
+    }
+    
+    // Queue entries: a chunk, the face it was entered by (-1 for the camera's
+    // own chunk) and a mask of the directions taken to get there
+    const reachable = new Set([startKey]);
+    const queue = [{ chunkX: startX, chunkY: startY, chunkZ: startZ, entry: -1, directions: 0 }];
+    for (let i = 0; i < queue.length; i++) {
+      const { chunkX, chunkY, chunkZ, entry, directions } = queue[i];
+      const mesh = this.chunkMeshes.get(this.getChunkKey(chunkX, chunkY, chunkZ));
+      const visibility = entry >= 0 && mesh ? mesh.visibility : null;
       
-      // Translate the chunk to its world position
-      mat4.translate(modelMatrix, modelMatrix, [worldX, 0, worldZ]);
+      for (let face = 0; face < 6; face++) {
+        if (directions & (1 << OPPOSITE_FACES[face])) {
+          continue;
+        }
+        if (visibility && !(visibility[entry] & (1 << face))) {
+          continue;
+        }
+        
+        const [dx, dy, dz] = FACE_DIRECTIONS[face];
+        const key = this.getChunkKey(chunkX + dx, chunkY + dy, chunkZ + dz);
+        if (reachable.has(key) || !this.nearChunkKeys.has(key) || !this.isChunkInFrustum(planes, chunkX + dx, chunkY + dy, chunkZ + dz)) {
+          continue;
+        }
+        reachable.add(key);
+        queue.push({
+          chunkX: chunkX + dx,
+          chunkY: chunkY + dy,
+          chunkZ: chunkZ + dz,
+          entry: OPPOSITE_FACES[face],
+          directions: directions | (1 << face)
+        });
+      }
+    }
+    return reachable;
+  }
+  
+  // Re-sort a chunk's translucent quads back to front once the camera has moved
+  // far enough from where they were last sorted for the order to change
+  sortTranslucentQuads(chunk, buffers, cameraPosition) {
+    const { sortedFrom } = buffers;
+    if (sortedFrom) {
+      const dx = cameraPosition[0] - sortedFrom[0];
+      const dy = cameraPosition[1] - sortedFrom[1];
+      const dz = cameraPosition[2] - sortedFrom[2];
+      if (dx * dx + dy * dy + dz * dz < TRANSLUCENT_RESORT_DISTANCE * TRANSLUCENT_RESORT_DISTANCE) {
+        return;
+      }
+    }
+    buffers.sortedFrom = [cameraPosition[0], cameraPosition[1], cameraPosition[2]];
+    
+    // Sort in the chunk's own coordinates, which the mesh is built in
+    const viewPoint = [
+      cameraPosition[0] - chunk.chunkX * this.chunkSize,
+      cameraPosition[1] - chunk.chunkY * this.chunkSize,
+      cameraPosition[2] - chunk.chunkZ * this.chunkSize
+    ];
+    // A split mesh is sorted piece by piece, which is close enough
+    for (const piece of buffers.translucent) {
+      this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, piece.indices);
+      this.gl.bufferSubData(this.gl.ELEMENT_ARRAY_BUFFER, 0, Chunk.sortQuads(piece.mesh, viewPoint));
+    }
+  }
+  
+  // Draw one of a chunk's meshes
+  drawMeshBuffers(meshBuffers, chunk, viewMatrix) {
+    // Empty meshes (all air, or nothing translucent) have nothing to draw
+    if (meshBuffers.length === 0) {
+      return;
+    }
+    
+    // Move the chunk to its world position
+    const worldX = chunk.chunkX * this.chunkSize;
+    const worldY = chunk.chunkY * this.chunkSize;
+    const worldZ = chunk.chunkZ * this.chunkSize;
+    const modelViewMatrix = mat4.create();
+    for (let i = 0; i < 16; i++) {
+      modelViewMatrix[i] = viewMatrix[i];
+    }
+    mat4.translate(modelViewMatrix, modelViewMatrix, [worldX, worldY, worldZ]);
+    
+    this.gl.uniformMatrix4fv(
+      this.programInfo.uniformLocations.modelViewMatrix,
+      false,
+      modelViewMatrix);
+    
+    const { position, tilePosition, vertexData } = this.programInfo.attribLocations;
+    for (const buffers of meshBuffers) {
+      // All attributes come from the one interleaved buffer (layout in chunk.js)
+      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffers.vertices);
       
-      // Combine model and view matrices
-      const modelViewMatrix = mat4.create();
-      // Start with view matrix
-      for (let i = 0; i < 16; i++) {
-        modelViewMatrix[i] = viewMatrix[i];
-      }
-      // Apply model transformations
-      mat4.translate(modelViewMatrix, modelViewMatrix, [worldX, 0, worldZ]);
+      // Position and tile index
+      this.gl.vertexAttribPointer(position, 4, this.gl.UNSIGNED_SHORT, false, VERTEX_SIZE, 0);
+      this.gl.enableVertexAttribArray(position);
       
-      // Set vertex position
-      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffers.position);
-      this.gl.vertexAttribPointer(
-        this.programInfo.attribLocations.vertexPosition,
-        3,        // 3 components per vertex
-        this.gl.FLOAT,
-        false,
-        0,
-        0);
-      this.gl.enableVertexAttribArray(this.programInfo.attribLocations.vertexPosition);
+      // Position on the tile
+      this.gl.vertexAttribPointer(tilePosition, 2, this.gl.SHORT, false, VERTEX_SIZE, 8);
+      this.gl.enableVertexAttribArray(tilePosition);
       
-      // Set vertex color
-      this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffers.color);
-      this.gl.vertexAttribPointer(
-        this.programInfo.attribLocations.vertexColor,
-        4,        // 4 components per color
-        this.gl.FLOAT,
-        false,
-        0,
-        0);
-      this.gl.enableVertexAttribArray(this.programInfo.attribLocations.vertexColor);
+      // Face and occlusion, light, alpha
+      this.gl.vertexAttribPointer(vertexData, 4, this.gl.UNSIGNED_BYTE, false, VERTEX_SIZE, 12);
+      this.gl.enableVertexAttribArray(vertexData);
       
-      // Bind indices
+      // Bind indices and draw the mesh
       this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, buffers.indices);
-      
-      // Set the uniforms
-      this.gl.uniformMatrix4fv(
-        this.programInfo.uniformLocations.projectionMatrix,
-        false,
-        projectionMatrix);
-      this.gl.uniformMatrix4fv(
-        this.programInfo.uniformLocations.modelViewMatrix,
-        false,
-        modelViewMatrix);
-      
-      // Draw the chunk
-      this.gl.drawElements(this.gl.TRIANGLES, buffers.indexCount, this.gl.UNSIGNED_SHORT, 0);
+      this.gl.drawElements(this.gl.TRIANGLES, buffers.indexCount, buffers.indexType, 0);
     }
   }
   
+  // Get the dominant biome at a world position
+  getBiome(x, z) {
+    return this.generator.getBiome(Math.floor(x), Math.floor(z));
+  }
+  
   // Get block at a specific world position
   getBlock(x, y, z) {
     // Convert world coordinates to chunk coordinates
     const chunkX = Math.floor(x / this.chunkSize);
+    const chunkY = Math.floor(y / this.chunkSize);
     const chunkZ = Math.floor(z / this.chunkSize);
     
     // Calculate block coordinates within the chunk
     const blockX = Math.floor(x) - chunkX * this.chunkSize;
-    const blockY = Math.floor(y);
+    const blockY = Math.floor(y) - chunkY * this.chunkSize;
     const blockZ = Math.floor(z) - chunkZ * this.chunkSize;
     
     // Get the chunk
-    const key = this.getChunkKey(chunkX, chunkZ);
+    const key = this.getChunkKey(chunkX, chunkY, chunkZ);
     if (!this.chunks.has(key)) {
-      return 0; // Air if chunk doesn't exist
+      return this.blockRegistry.types.AIR; // Air if chunk doesn't exist
     }
     
     const chunk = this.chunks.get(key);
     return chunk.getBlock(blockX, blockY, blockZ);
   }
   
-  // Set block at a specific world position
-  setBlock(x, y, z, blockType) {
+  // Get the sky light and block light (0-15 each) at a specific world position
+  getLight(x, y, z) {
+    const light = this.lighting.getLight(Math.floor(x), Math.floor(y), Math.floor(z));
+    return { sky: light >> 4, block: light & 15 };
+  }
+  
+  // Get the state of the block at a specific world position (see blocks.js)
+  getBlockState(x, y, z) {
+    const chunkX = Math.floor(x / this.chunkSize);
+    const chunkY = Math.floor(y / this.chunkSize);
+    const chunkZ = Math.floor(z / this.chunkSize);
+    
+    const chunk = this.chunks.get(this.getChunkKey(chunkX, chunkY, chunkZ));
+    if (!chunk) {
+      return 0;
+    }
+    
+    return chunk.getState(
+      Math.floor(x) - chunkX * this.chunkSize,
+      Math.floor(y) - chunkY * this.chunkSize,
+      Math.floor(z) - chunkZ * this.chunkSize
+    );
+  }
+  
+  // Set block (and optionally its state) at a specific world position. Light
+  // is updated straight away; the meshes it shows up in are rebuilt on a
+  // later updateChunks.
+  setBlock(x, y, z, blockType, state = 0) {
+    this.setBlocks([[x, y, z, blockType, state]]);
+  }
+  
+  // Set many blocks at once, e.g. from a script: edits is a list of
+  // [x, y, z, blockType, state] (state optional). Each chunk they touch is
+  // remeshed once, however many of its blocks changed, and the light is
+  // updated for all of them together.
+  setBlocks(edits) {
+    const changedBlocks = [];
+    for (const [x, y, z, blockType, state = 0] of edits) {
+      if (this.writeBlock(x, y, z, blockType, state)) {
+        this.markBlockDirty(x, y, z);
+        changedBlocks.push([Math.floor(x), Math.floor(y), Math.floor(z)]);
+      }
+    }
+    this.markLightDirty(this.lighting.updateBlocks(changedBlocks));
+  }
+  
+  // Fill the box between two corners (inclusive, in world coordinates) with a block
+  fillBlocks(x0, y0, z0, x1, y1, z1, blockType, state = 0) {
+    const [minX, maxX] = [Math.min(x0, x1), Math.max(x0, x1)].map(Math.floor);
+    const [minY, maxY] = [Math.max(Math.min(y0, y1), this.minHeight), Math.min(Math.max(y0, y1), this.maxHeight - 1)].map(Math.floor);
+    const [minZ, maxZ] = [Math.min(z0, z1), Math.max(z0, z1)].map(Math.floor);
+    
+    const changedBlocks = [];
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        for (let z = minZ; z <= maxZ; z++) {
+          if (this.writeBlock(x, y, z, blockType, state)) {
+            changedBlocks.push([x, y, z]);
+          }
+        }
+      }
+    }
+    if (changedBlocks.length === 0) {
+      return;
+    }
+    this.markLightDirty(this.lighting.updateBlocks(changedBlocks));
+    
+    // Every chunk the box or the blocks around it reach into
+    for (let chunkX = Math.floor((minX - 1) / this.chunkSize); chunkX <= Math.floor((maxX + 1) / this.chunkSize); chunkX++) {
+      for (let chunkY = Math.floor((minY - 1) / this.chunkSize); chunkY <= Math.floor((maxY + 1) / this.chunkSize); chunkY++) {
+        for (let chunkZ = Math.floor((minZ - 1) / this.chunkSize); chunkZ <= Math.floor((maxZ + 1) / this.chunkSize); chunkZ++) {
+          this.markChunkDirty(chunkX, chunkY, chunkZ);
+        }
+      }
+    }
+  }
+  
+  // Write a block into its chunk (generating the chunk if it doesn't exist yet)
+  // without touching any meshes. Returns true if the block changed.
+  writeBlock(x, y, z, blockType, state = 0) {
     // Convert world coordinates to chunk coordinates
     const chunkX = Math.floor(x / this.chunkSize);
+    const chunkY = Math.floor(y / this.chunkSize);
     const chunkZ = Math.floor(z / this.chunkSize);
     
+    // Blocks above or below the world can't be changed
+    if (!this.isChunkInWorld(chunkY)) {
+      return false;
+    }
+    
     // Calculate block coordinates within the chunk
     const blockX = Math.floor(x) - chunkX * this.chunkSize;
-    const blockY = Math.floor(y);
+    const blockY = Math.floor(y) - chunkY * this.chunkSize;
     const blockZ = Math.floor(z) - chunkZ * this.chunkSize;
     
     // Get the chunk, generate if it doesn't exist
-    const key = this.getChunkKey(chunkX, chunkZ);
+    const key = this.getChunkKey(chunkX, chunkY, chunkZ);
     let chunk = this.chunks.get(key);
     if (!chunk) {
-      chunk = this.generateChunk(chunkX, chunkZ);
+      chunk = this.generateChunk(chunkX, chunkY, chunkZ);
     }
     
-    // Set the block
-    chunk.setBlock(blockX, blockY, blockZ, blockType);
-    
-    // Update the mesh and buffers
-    const mesh = chunk.buildMesh();
-    this.chunkMeshes.set(key, mesh);
-    
-    // Delete old buffers if they exist
-    if (this.chunkBuffers.has(key)) {
-      const buffers = this.chunkBuffers.get(key);
-      this.gl.deleteBuffer(buffers.position);
-      this.gl.deleteBuffer(buffers.color);
-      this.gl.deleteBuffer(buffers.indices);
+    if (chunk.getBlock(blockX, blockY, blockZ) === blockType && chunk.getState(blockX, blockY, blockZ) === state) {
+      return false;
     }
-    
-    // Create new buffers
-    this.createChunkBuffers(key, mesh);
-    
-    // Also update neighboring chunks if the block is on the edge
-    this.updateNeighboringChunks(chunkX, chunkZ, blockX, blockZ);
+    chunk.setBlock(blockX, blockY, blockZ, blockType, state);
+    return true;
   }
   
-  // Update neighboring chunks when a block on the edge is changed
-  updateNeighboringChunks(chunkX, chunkZ, blockX, blockZ) {
-    // Check if block is on the edge of the chunk
-    const onXMinEdge = blockX === 0;
-    const onXMaxEdge = blockX === this.chunkSize - 1;
-    const onZMinEdge = blockZ === 0;
-    const onZMaxEdge = blockZ === this.chunkSize - 1;
+  // Mark the meshes a changed block shows up in as dirty: its own chunk's, and
+  // those of the neighbours it borders. Faces are only culled against the six
+  // blocks next to them, but ambient occlusion also looks diagonally, so with
+  // it on a block on a chunk's edge or corner reaches the chunks across those too.
+  markBlockDirty(x, y, z) {
+    const chunkX = Math.floor(x / this.chunkSize);
+    const chunkY = Math.floor(y / this.chunkSize);
+    const chunkZ = Math.floor(z / this.chunkSize);
     
-    // Update neighboring chunks if necessary
-    if (onXMinEdge) {
-      this.updateChunkMesh(chunkX - 1, chunkZ);
-    }
-    if (onXMaxEdge) {
-      this.updateChunkMesh(chunkX + 1, chunkZ);
-    }
-    if (onZMinEdge) {
-      this.updateChunkMesh(chunkX, chunkZ - 1);
-    }
-    if (onZMaxEdge) {
-      this.updateChunkMesh(chunkX, chunkZ + 1);
-    }
+    // Which way (-1, 0, 1) the block borders another chunk along an axis
+    const range = (position, chunk) => {
+      const block = Math.floor(position) - chunk * this.chunkSize;
+      return [block === 0 ? -1 : 0, block === this.chunkSize - 1 ? 1 : 0];
+    };
+    const [minX, maxX] = range(x, chunkX);
+    const [minY, maxY] = range(y, chunkY);
+    const [minZ, maxZ] = range(z, chunkZ);
     
-    // Update diagonal chunks if block is on a corner
-    if (onXMinEdge && onZMinEdge) {
-      this.updateChunkMesh(chunkX - 1, chunkZ - 1);
-    }
-    if (onXMinEdge && onZMaxEdge) {
-      this.updateChunkMesh(chunkX - 1, chunkZ + 1);
-    }
-    if (onXMaxEdge && onZMinEdge) {
-      this.updateChunkMesh(chunkX + 1, chunkZ - 1);
+    for (let dx = minX; dx <= maxX; dx++) {
+      for (let dy = minY; dy <= maxY; dy++) {
+        for (let dz = minZ; dz <= maxZ; dz++) {
+          const axes = (dx !== 0) + (dy !== 0) + (dz !== 0);
+          if (axes <= 1 || this.ambientOcclusion) {
+            this.markChunkDirty(chunkX + dx, chunkY + dy, chunkZ + dz);
+          }
+        }
+      }
     }
-    if (onXMaxEdge && onZMaxEdge) {
-      this.updateChunkMesh(chunkX + 1, chunkZ + 1);
+  }
+  
+  // Queue a loaded chunk's mesh to be rebuilt
+  markChunkDirty(chunkX, chunkY, chunkZ) {
+    const key = this.getChunkKey(chunkX, chunkY, chunkZ);
+    if (this.chunks.has(key)) {
+      this.dirtyChunks.add(key);
     }
   }
   
-  // Update a chunk's mesh and buffers
-  updateChunkMesh(chunkX, chunkZ) {
-    const key = this.getChunkKey(chunkX, chunkZ);
-    const chunk = this.chunks.get(key);
+  // Walk the blocks along a ray (voxel traversal) and return the first one isTarget
+  // accepts, as { position, normal, point, blockType, state }, or null if nothing is
+  // hit within maxDistance. normal points out of the face the ray entered through.
+  raycast(origin, direction, maxDistance, isTarget = blockType => blockType !== this.blockRegistry.types.AIR) {
+    const position = [Math.floor(origin[0]), Math.floor(origin[1]), Math.floor(origin[2])];
+    const step = [0, 0, 0];
+    const tMax = [Infinity, Infinity, Infinity];
+    const tDelta = [Infinity, Infinity, Infinity];
     
-    if (chunk) {
-      const mesh = chunk.buildMesh();
-      this.chunkMeshes.set(key, mesh);
-      
-      // Delete old buffers if they exist
-      if (this.chunkBuffers.has(key)) {
-        const buffers = this.chunkBuffers.get(key);
-        this.gl.deleteBuffer(buffers.position);
-        this.gl.deleteBuffer(buffers.color);
-        this.gl.deleteBuffer(buffers.indices);
+    // Distance along the ray to the first boundary on each axis, and between boundaries
+    for (let axis = 0; axis < 3; axis++) {
+      if (direction[axis] > 0) {
+        step[axis] = 1;
+        tDelta[axis] = 1 / direction[axis];
+        tMax[axis] = (position[axis] + 1 - origin[axis]) * tDelta[axis];
+      } else if (direction[axis] < 0) {
+        step[axis] = -1;
+        tDelta[axis] = -1 / direction[axis];
+        tMax[axis] = (origin[axis] - position[axis]) * tDelta[axis];
+      }
+    }
+    
+    const normal = [0, 0, 0];
+    let distance = 0;
+    
+    while (distance <= maxDistance) {
+      const blockType = this.getBlock(position[0], position[1], position[2]);
+      if (isTarget(blockType)) {
+        return {
+          position: position.slice(),
+          normal: normal.slice(),
+          point: [
+            origin[0] + direction[0] * distance,
+            origin[1] + direction[1] * distance,
+            origin[2] + direction[2] * distance
+          ],
+          blockType,
+          state: this.getBlockState(position[0], position[1], position[2])
+        };
       }
       
-      // Create new buffers
-      this.createChunkBuffers(key, mesh);
+      // Step into the next block across whichever boundary is closest
+      const axis = tMax[0] < tMax[1] ? (tMax[0] < tMax[2] ? 0 : 2) : (tMax[1] < tMax[2] ? 1 : 2);
+      distance = tMax[axis];
+      tMax[axis] += tDelta[axis];
+      position[axis] += step[axis];
+      normal[0] = normal[1] = normal[2] = 0;
+      normal[axis] = -step[axis];
+    }
+    
+    return null;
+  }
+  
+  // Rebuild a chunk's mesh and buffers now (on a worker if there are any, in
+  // which case the old mesh stays up until the new one arrives)
+  updateChunkMesh(chunkX, chunkY, chunkZ) {
+    const key = this.getChunkKey(chunkX, chunkY, chunkZ);
+    if (!this.chunks.has(key)) {
+      return;
+    }
+    
+    if (this.workerPool && !(this.failedMeshes.get(key) > this.maxJobRetries)) {
+      this.requestChunkMesh(chunkX, chunkY, chunkZ);
+    } else {
+      this.failedMeshes.delete(key);
+      this.setChunkMesh(key, this.buildChunkMesh(chunkX, chunkY, chunkZ));
     }
   }
   
   // Change render distance (number of chunks visible)
   setRenderDistance(distance) {
-    this.renderDistance = Math.max(1, Math.min(distance, 10));
+    this.renderDistance = Math.max(1, Math.min(distance, MAX_RENDER_DISTANCE));
+  }
+  
+  // Set the world clock, in ticks: 0 is sunrise, 6000 noon, 12000 sunset and
+  // 18000 midnight (see sky.js). Anything but a finite number is ignored, and
+  // false returned.
+  setTime(time) {
+    return this.clock.setTime(time);
+  }
+  
+  // Get the world clock in ticks; the time of day is this modulo TICKS_PER_DAY
+  getTime() {
+    return this.clock.time;
+  }
+  
+  // Run the clock on by some seconds of real time
+  updateTime(seconds) {
+    this.clock.advance(seconds);
+  }
+  
+  // What's needed to bring this world back, as plain data: pass it back as
+  // the options of a new World. Edited blocks aren't included.
+  getSaveData() {
+    return {
+      seed: this.seed,
+      generator: this.generatorSpec ? this.generatorSpec.type : undefined,
+      minHeight: this.minHeight,
+      maxHeight: this.maxHeight,
+      waterLevel: this.waterLevel,
+      time: this.clock.time,
+      dayLength: this.clock.dayLength
+    };
   }
 }
\ No newline at end of file